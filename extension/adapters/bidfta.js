@@ -0,0 +1,120 @@
+// BidFTA adapter.
+
+registerSiteAdapter({
+  id: "bidfta",
+  name: "BidFTA",
+  domains: ["bidfta.com"],
+
+  // Card container has role="button" and a stable aria-label in our observed DOM.
+  cardSelector:
+    'div[role="button"][aria-label="Click to navigate to item details"]',
+
+  fields: {
+    // Title is inside an <h4 ...>Title</h4> within the card.
+    title: "h4",
+    // The remaining details are rendered as "Label: value" text in our observed DOM.
+    condition: (card) => textAfterLabel(card, /^condition\s*:?/i),
+    description: (card) => textAfterLabel(card, /^description\s*:?/i),
+    location: (card) => textAfterLabel(card, /^(pickup\s+)?location\s*:?/i),
+    // Require "#", "No." or ":" so titles like "Lot of 5 drills" aren't read as a lot number.
+    lotId: (card) => textAfterLabel(card, /^lot\s*(#|no\.|number|:)\s*:?/i),
+    currentBid: (card) => textAfterLabel(card, /^current\s+bid\s*:?/i),
+    // "Retail: $89.99", "MSRP $89.99", "Est. Retail Price: ...", when the listing has one.
+    retailPrice: (card) =>
+      textAfterLabel(card, /^(est(\.|imated)?\s+)?(retail(\s+(price|value))?|msrp)\b\s*:?/i),
+  },
+
+  // 17.5% premium, $0.25 freight at $5 or less (else $1), 9.5% tax on everything.
+  feeProfiles: [
+    {
+      id: "bidfta-default",
+      name: "BidFTA (default)",
+      premiumPercent: 17.5,
+      flatFees: [
+        { upTo: 5, fee: 0.25 },
+        { upTo: null, fee: 1 },
+      ],
+      taxPercent: 9.5,
+      taxAppliesToPremium: true,
+    },
+  ],
+
+  detectPageType(url) {
+    const path = url.pathname.toLowerCase();
+    if (/invoice/.test(path)) return "invoice";
+    if (/^\/(account|my-?account|dashboard)/.test(path)) return "account";
+    if (/item-?detail/.test(path)) return "item";
+    if (/^\/(items|search|auctions?|location)/.test(path) || path === "/") {
+      return "results";
+    }
+    return "other";
+  },
+
+  // Quick-bid buttons carry the amount they place in data-bid.
+  findBidButtons(root) {
+    return Array.from(root.querySelectorAll("button[data-bid]"))
+      .map((button) => ({
+        button,
+        amount: parseFloat(button.getAttribute("data-bid")),
+      }))
+      .filter((b) => !isNaN(b.amount));
+  },
+
+  // "Set Max Bid" buttons have distinctive styling; the input sits in the same container.
+  findMaxBidControls(root) {
+    const controls = [];
+    for (const button of root.querySelectorAll("button.bg-bidfta-yellow-light")) {
+      // Verify it's actually a max bid button by checking text content
+      if (!button.textContent.trim().includes("Set Max Bid")) continue;
+      const input = button
+        .closest("div")
+        ?.querySelector('input[type="text"][placeholder*="$"]');
+      if (input) controls.push({ button, input });
+    }
+    return controls;
+  },
+
+  // Cards are clickable divs that navigate in script, so there's usually no href to
+  // read. Item pages are /<auction id>/item-detail/<lot number>: the lot number is on
+  // the card, and the auction id too ("Auction #: 7346"), or in the URL of an auction's
+  // own item list (/auction/7346, /7346/items).
+  getItemUrl(card) {
+    const link =
+      card.closest('a[href*="item-detail"]') ||
+      card.querySelector('a[href*="item-detail"]');
+    if (link) return link.getAttribute("href") || "";
+
+    const lotId = textAfterLabel(card, /^lot\s*(#|no\.|number|:)\s*:?/i).match(/\d+/)?.[0];
+    const auctionId =
+      textAfterLabel(card, /^auction\s*(#|no\.|number|id|:)\s*:?/i).match(/\d+/)?.[0] ||
+      window.location.pathname.match(/^\/(?:auctions?\/)?(\d+)(?:\/|$)/)?.[1];
+    return lotId && auctionId ? `/${auctionId}/item-detail/${lotId}` : "";
+  },
+
+  // The lot number is the last part of the item page's URL (see getItemUrl); the page
+  // also shows "Lot #", which the default reads.
+  getPageLotId(url) {
+    return url.pathname.match(/item-?detail\/(\d+)/i)?.[1] || "";
+  },
+
+  // Won items are cards (or table rows on the invoice page) with a winning amount
+  // label next to the usual title, lot and pickup details. Only the tightest element
+  // around each amount counts, so a wrapper isn't read as another item.
+  findWonItems(root) {
+    const wonAmountLabel =
+      /^(winning\s+bid|won\s+for|final\s+bid|amount\s+won|hammer\s+price)\s*:?/i;
+    const rows = Array.from(
+      root.querySelectorAll('div[role="button"], article, li, tr'),
+    ).filter((row) => parseDollarAmount(textAfterLabel(row, wonAmountLabel)) > 0);
+
+    return rows
+      .filter((row) => !rows.some((other) => other !== row && row.contains(other)))
+      .map((row) => ({
+        title: (row.querySelector("h3, h4, h5, a")?.textContent || "").trim(),
+        lotId: textAfterLabel(row, /^lot\s*(#|no\.|number|:)\s*:?/i),
+        amount: parseDollarAmount(textAfterLabel(row, wonAmountLabel)),
+        location: textAfterLabel(row, /^(pickup\s+)?location\s*:?/i),
+        pickupDate: textAfterLabel(row, /^pickup\s+(date|day|window|time)s?\s*:?/i),
+      }));
+  },
+});
@@ -0,0 +1,53 @@
+// GovDeals adapter.
+
+registerSiteAdapter({
+  id: "govdeals",
+  name: "GovDeals",
+  domains: ["govdeals.com"],
+
+  // Listing card root is a Bootstrap-ish card used in search results.
+  cardSelector: "div.card.card-search",
+
+  fields: {
+    // Title is inside <p class="card-title"><a ...>Title</a></p>.
+    title: ".card-title a",
+    condition: (card) => textAfterLabel(card, /^condition\s*:?/i),
+    description: (card) => textAfterLabel(card, /^description\s*:?/i),
+    location: (card) => textAfterLabel(card, /^location\s*:?/i),
+    // Asset links look like /asset/{assetId}/{accountId}; the pair identifies the lot.
+    lotId: (card) => {
+      const href = card.querySelector(".card-title a")?.getAttribute("href") || "";
+      const m = href.match(/asset\/(\d+)\/(\d+)/);
+      return m ? `${m[2]}-${m[1]}` : "";
+    },
+    currentBid: (card) => textAfterLabel(card, /^current\s+bid\s*:?/i),
+  },
+
+  // Premium is set per seller; 12.5% is common. Tax depends on the seller's state.
+  feeProfiles: [
+    {
+      id: "govdeals-default",
+      name: "GovDeals (default)",
+      premiumPercent: 12.5,
+      flatFees: [],
+      taxPercent: 0,
+      taxAppliesToPremium: false,
+    },
+  ],
+
+  detectPageType(url) {
+    const path = url.pathname.toLowerCase();
+    if (/\/asset\/\d+/.test(path)) return "item";
+    if (/\/(my-?account|account)/.test(path)) return "account";
+    if (/\/(search|filtered|category|categories)/.test(path) || /^\/(en\/?)?$/.test(path)) {
+      return "results";
+    }
+    return "other";
+  },
+
+  // Item pages are the asset link itself.
+  getPageLotId(url) {
+    const m = url.pathname.match(/asset\/(\d+)\/(\d+)/);
+    return m ? `${m[2]}-${m[1]}` : "";
+  },
+});
@@ -0,0 +1,53 @@
+// HiBid adapter.
+// HiBid hosts many auctioneers, each on its own subdomain (e.g. "ohio.hibid.com").
+
+registerSiteAdapter({
+  id: "hibid",
+  name: "HiBid",
+  domains: ["hibid.com"],
+
+  // Lot tiles in catalog/search grids.
+  cardSelector: "app-lot-tile",
+
+  fields: {
+    title: ".lot-title",
+    description: ".lot-description",
+    location: (card) => textAfterLabel(card, /^(pickup\s+)?location\s*:?/i),
+    lotId: (card) => {
+      const text = card.querySelector(".lot-number")?.textContent || "";
+      return text.replace(/^\s*lot\s*#?\s*/i, "").trim();
+    },
+    currentBid: (card) => textAfterLabel(card, /^(high|current)\s+bid\s*:?/i),
+  },
+
+  // Premium and tax vary per auctioneer (shown on each catalog's terms); adjust in the Fees tab.
+  feeProfiles: [
+    {
+      id: "hibid-default",
+      name: "HiBid (typical)",
+      premiumPercent: 15,
+      flatFees: [],
+      taxPercent: 0,
+      taxAppliesToPremium: true,
+    },
+  ],
+
+  detectPageType(url) {
+    const path = url.pathname.toLowerCase();
+    if (/^\/lot\//.test(path)) return "item";
+    if (/^\/(account|mybids|my-?hibid)/.test(path)) return "account";
+    if (/invoice/.test(path)) return "invoice";
+    if (/^\/(catalog|lots|search|auctions?)/.test(path)) return "results";
+    return "other";
+  },
+
+  // Tile bid buttons read "Bid 25.00 USD".
+  findBidButtons(root) {
+    return Array.from(root.querySelectorAll("app-lot-tile button"))
+      .map((button) => {
+        const m = button.textContent.trim().match(/^bid\s+\$?([\d,]+(?:\.\d+)?)/i);
+        return { button, amount: m ? parseDollarAmount(m[1]) : NaN };
+      })
+      .filter((b) => !isNaN(b.amount) && b.amount > 0);
+  },
+});
@@ -0,0 +1,47 @@
+// Public Surplus adapter.
+// Search results are table rows; each auction row links to /sms/auction/view?auc=<id>.
+
+registerSiteAdapter({
+  id: "publicsurplus",
+  name: "Public Surplus",
+  domains: ["publicsurplus.com"],
+
+  // Only rows that link to an auction are cards (skips header/pager rows).
+  cardSelector: "table.auctionTable tr.auctionRow",
+
+  fields: {
+    title: 'a[href*="/sms/auction/view"]',
+    location: "td.auctionLocation",
+    lotId: (card) => {
+      const href =
+        card.querySelector('a[href*="/sms/auction/view"]')?.getAttribute("href") || "";
+      return href.match(/[?&]auc=(\d+)/)?.[1] || "";
+    },
+    currentBid: "td.auctionBid",
+  },
+
+  // Most agencies charge no premium; some add one, and tax depends on the agency.
+  feeProfiles: [
+    {
+      id: "publicsurplus-default",
+      name: "Public Surplus (no premium)",
+      premiumPercent: 0,
+      flatFees: [],
+      taxPercent: 0,
+      taxAppliesToPremium: false,
+    },
+  ],
+
+  detectPageType(url) {
+    const path = url.pathname.toLowerCase();
+    if (/\/auction\/view/.test(path)) return "item";
+    if (/\/(account|myaccount|user)/.test(path)) return "account";
+    if (/\/(browse|search|list|category|auction\/)/.test(path)) return "results";
+    return "other";
+  },
+
+  // Item pages are the auction link itself.
+  getPageLotId(url) {
+    return url.searchParams.get("auc") || "";
+  },
+});
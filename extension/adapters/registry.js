@@ -0,0 +1,229 @@
+// Site adapter registry.
+// Shared by the content script and the popup; loaded before the adapters themselves
+// (adapters/*.js), which register on load.
+//
+// An adapter holds everything we know about one auction platform: which elements are
+// listing cards, how to read fields from a card, where the bid controls are, the
+// default fee profile, and what kind of page we're on.
+
+/**
+ * @typedef {string | ((card: Element) => string)} FieldExtractor
+ * A selector (text of the first match within the card; its title attr wins, since
+ * visible text is sometimes shortened) or a function for fields that need more.
+ */
+
+/**
+ * @typedef {"results"|"item"|"account"|"invoice"|"other"} PageType
+ */
+
+/**
+ * @typedef {Object} BidButton
+ * @property {Element} button
+ * @property {number} amount - The fixed bid amount the button places.
+ */
+
+/**
+ * @typedef {Object} MaxBidControl
+ * @property {Element} button
+ * @property {HTMLInputElement} input - Where the user types their max bid.
+ */
+
+/**
+ * One item won, as listed on an account / invoice page.
+ * @typedef {Object} WonItem
+ * @property {string} title
+ * @property {string} lotId
+ * @property {number} amount - The winning bid.
+ * @property {string} location - Pickup location.
+ * @property {string} pickupDate - As the site shows it.
+ */
+
+/**
+ * @typedef {Object} SiteAdapter
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} domains - Registrable domains; subdomains match too.
+ * @property {string} cardSelector - Selects the listing/card root elements.
+ * @property {Record<string, FieldExtractor>} fields - Keyed by CardField (see phrases.js).
+ * @property {FeeProfile[]} feeProfiles - Built-in fee profiles; the first is the default.
+ * @property {(url: URL, doc: Document) => PageType} detectPageType
+ * @property {(root: ParentNode) => BidButton[]} [findBidButtons]
+ * @property {(root: ParentNode) => MaxBidControl[]} [findMaxBidControls]
+ * @property {(root: ParentNode) => WonItem[]} [findWonItems] - On "account" and
+ *   "invoice" pages.
+ * @property {(url: URL, doc: Document) => string} [getPageLotId] - On an item page,
+ *   the same lot id fields.lotId reads from the item's card. Defaults to running
+ *   fields.lotId on the page.
+ * @property {(card: Element) => string} [getItemUrl] - "" when the card doesn't say.
+ *   Defaults to the card's first link.
+ * @property {(card: Element, now: number) => number|null} [getEndTime] - Epoch ms.
+ *   Defaults to parsing text after an "Ends" / "Closes" / "Time left" label.
+ */
+
+/** @type {SiteAdapter[]} */
+const SITE_ADAPTERS = [];
+
+/**
+ * @param {SiteAdapter} adapter
+ */
+function registerSiteAdapter(adapter) {
+  const existing = SITE_ADAPTERS.findIndex((a) => a.id === adapter.id);
+  if (existing !== -1) SITE_ADAPTERS.splice(existing, 1);
+  SITE_ADAPTERS.push(adapter);
+}
+
+/**
+ * @param {string} host
+ * @param {string} domain
+ */
+function hostMatchesDomain(host, domain) {
+  if (!host || !domain) return false;
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * @param {string} host
+ * @returns {SiteAdapter|null}
+ */
+function getSiteAdapterForHost(host) {
+  return (
+    SITE_ADAPTERS.find((a) => a.domains.some((d) => hostMatchesDomain(host, d))) ||
+    null
+  );
+}
+
+/**
+ * Text following a "Label:" inside a card, e.g. "Condition: Untested" => "Untested".
+ * Picks the tightest element whose text starts with the label; if the value isn't
+ * in that element, uses its next sibling ("<dt>Condition</dt><dd>Untested</dd>").
+ * @param {Element} card
+ * @param {RegExp} labelRe - Anchored at the start of the element text.
+ * @returns {string}
+ */
+function textAfterLabel(card, labelRe) {
+  let best = null;
+  for (const el of card.querySelectorAll("*")) {
+    const text = (el.textContent || "").trim();
+    const m = text.match(labelRe);
+    if (!m) continue;
+    if (!best || text.length < best.text.length) best = { el, text, m };
+  }
+  if (!best) return "";
+
+  const rest = best.text.slice(best.m[0].length).trim();
+  if (rest) return rest;
+  return (best.el.nextElementSibling?.textContent || "").trim();
+}
+
+/**
+ * Run one field extractor against a card.
+ * @param {Element} card
+ * @param {FieldExtractor} extractor
+ * @returns {string}
+ */
+function runFieldExtractor(card, extractor) {
+  if (typeof extractor === "function") {
+    return (extractor(card) || "").toString().trim();
+  }
+
+  const selector = (extractor || "").trim();
+  if (!selector) return "";
+  const el = card.querySelector(selector);
+  if (!el) return "";
+  // Prefer element title; fall back to visible text (sometimes visible text is shortened).
+  return (el.getAttribute("title") || el.textContent || "").trim();
+}
+
+/**
+ * Parse a dollar amount out of text ("$1,234.50", "Bid 25.00 USD"). Returns 0 if none.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseDollarAmount(value) {
+  const m = (value || "").replace(/,/g, "").match(/\d+(\.\d+)?/);
+  const amount = m ? parseFloat(m[0]) : NaN;
+  return isNaN(amount) ? 0 : amount;
+}
+
+/**
+ * Absolute URL of a card's item page: the adapter's getItemUrl, else the card's first
+ * link (or the card itself if it's a link). "" when there's none, rather than a URL that
+ * wouldn't open the item.
+ * @param {SiteAdapter|null} adapter
+ * @param {Element} card
+ * @returns {string}
+ */
+function getCardItemUrl(adapter, card) {
+  const href = adapter?.getItemUrl
+    ? adapter.getItemUrl(card)
+    : card.closest("a[href]")?.getAttribute("href") ||
+      card.querySelector("a[href]")?.getAttribute("href");
+  if (!href) return "";
+  try {
+    return new URL(href, window.location.href).href;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Lot id of the item an item page shows, so it gets the same watchItemId as its card.
+ * @param {SiteAdapter|null} adapter
+ * @param {URL} url
+ * @param {Document} doc
+ * @returns {string}
+ */
+function getPageLotId(adapter, url, doc) {
+  if (!adapter) return "";
+  const root = doc.querySelector("main") || doc.body;
+  return adapter.getPageLotId?.(url, doc) || runFieldExtractor(root, adapter.fields.lotId);
+}
+
+/**
+ * Parse auction end text into epoch ms. Handles countdowns ("2d 3h 15m", "3 hours",
+ * "01:02:03") and absolute dates ("Oct 21, 2026 7:00 PM EDT"). Returns null if unsure.
+ * @param {string} text
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+function parseEndTimeText(text, now = Date.now()) {
+  const t = (text || "").trim();
+  if (!t) return null;
+
+  const clock = t.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const [, h, m, sec] = clock;
+    return now + ((Number(h || 0) * 60 + Number(m)) * 60 + Number(sec)) * 1000;
+  }
+
+  const unitMs = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+  const units =
+    /(\d+)\s*(d(?:ays?)?|h(?:(?:ou)?rs?)?|m(?:in(?:ute)?s?)?|s(?:ec(?:ond)?s?)?)\b/gi;
+  let relative = 0;
+  const rest = t.replace(units, (_, n, unit) => {
+    relative += Number(n) * unitMs[unit[0].toLowerCase()];
+    return "";
+  });
+  // Only a countdown if nothing but units is left ("Oct 21 2026" must not count as "21 ... ").
+  const leftover = rest.replace(/\b(left|remaining|and)\b|,/gi, "").trim();
+  if (relative && !leftover) return now + relative;
+
+  const absolute = Date.parse(t);
+  return isNaN(absolute) ? null : absolute;
+}
+
+/**
+ * When a card's auction ends (epoch ms), or null if the card doesn't say.
+ * @param {SiteAdapter|null} adapter
+ * @param {Element} card
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+function getCardEndTime(adapter, card, now = Date.now()) {
+  if (adapter?.getEndTime) return adapter.getEndTime(card, now);
+  const text = textAfterLabel(
+    card,
+    /^(ends?|closes?|closing|time\s+left|time\s+remaining)\s*(in|on|at)?\s*:?/i,
+  );
+  return parseEndTimeText(text, now);
+}
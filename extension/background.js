@@ -0,0 +1,368 @@
+// Background service worker: auction-ending reminders.
+//
+// Keeps one chrome.alarms alarm per (item, lead time) for watched items and, if
+// enabled, highlighted items reported by the content script. When an alarm fires we
+// show a desktop notification; clicking it opens the item.
+//
+// Alarms are re-synced from storage whenever the watchlist, the highlighted items or
+// the reminder settings change, so the worker holds no state of its own.
+//
+// Also owns the "Add to Interested / Not interested" context menu for selected text
+// (the content script on the page does the actual adding) and the toolbar badge,
+// which shows the highlighted count the page's content script reports.
+//
+// And the bid price history database (priceHistory.js): content scripts send the bids
+// they see and ask for card history here, and a daily alarm prunes old rows. Pickup
+// distances for the location filter are worked out here too (pickupLocations.js), so
+// pages never load the ZIP code table.
+//
+// It also migrates stored rules to the current schema (rulesStorage.js) once per
+// install or update, so pages and the popup never race to do it themselves.
+
+// fees.js for formatMoney, phrases.js (and its ruleExpression.js) for matching
+// history titles; the site adapters and phraseGroups.js for the rules migration.
+importScripts(
+  "adapters/registry.js",
+  "adapters/bidfta.js",
+  "adapters/govdeals.js",
+  "adapters/hibid.js",
+  "adapters/publicsurplus.js",
+  "fees.js",
+  "watchlist.js",
+  "reminders.js",
+  "ruleExpression.js",
+  "phrases.js",
+  "priceHistory.js",
+  "pickupLocations.js",
+  "phraseGroups.js",
+  "rulesStorage.js",
+);
+
+const NOTIFICATION_URLS_KEY = "phraseFilterNotificationUrls";
+const PRUNE_PRICE_HISTORY_ALARM = "phraseFilter:prunePriceHistory";
+
+function log(msg, extra) {
+  // eslint-disable-next-line no-console
+  console.debug(`[PhraseFilter] ${msg}`, extra ?? "");
+}
+
+/**
+ * @returns {Promise<Record<string, WatchItem>>}
+ */
+async function loadHighlightedItems() {
+  const result = await chrome.storage.local.get(HIGHLIGHTED_ITEMS_KEY);
+  const items = result?.[HIGHLIGHTED_ITEMS_KEY];
+  return items && typeof items === "object" ? items : {};
+}
+
+// Content scripts in several tabs can report at once; apply updates one at a time.
+let highlightedUpdate = Promise.resolve();
+
+/**
+ * Merge a page's report: add/refresh its highlighted items, forget items the page
+ * shows but no longer highlights, and drop items that ended over an hour ago.
+ * @param {{ items: WatchItem[], seenIds: string[] }} report
+ */
+function updateHighlightedItems(report) {
+  highlightedUpdate = highlightedUpdate.then(async () => {
+    const byId = await loadHighlightedItems();
+    for (const id of report.seenIds || []) delete byId[id];
+    for (const item of report.items || []) {
+      if (item?.id && item.endTime) byId[item.id] = item;
+    }
+    const cutoff = Date.now() - 60 * 60 * 1000;
+    for (const [id, item] of Object.entries(byId)) {
+      if (!item.endTime || item.endTime < cutoff) delete byId[id];
+    }
+    await chrome.storage.local.set({ [HIGHLIGHTED_ITEMS_KEY]: byId });
+  });
+  return highlightedUpdate.catch((e) => log("Failed to save highlighted items", e));
+}
+
+/**
+ * Items reminders apply to, keyed by id. Watched items win over highlighted ones.
+ * @param {ReminderSettings} settings
+ * @returns {Promise<Map<string, WatchItem>>}
+ */
+async function loadReminderItems(settings) {
+  const items = new Map();
+  if (settings.includeHighlighted) {
+    for (const item of Object.values(await loadHighlightedItems())) {
+      items.set(item.id, item);
+    }
+  }
+  for (const item of await loadWatchlist()) items.set(item.id, item);
+  return items;
+}
+
+async function syncReminderAlarms() {
+  const settings = await loadReminderSettings();
+  const now = Date.now();
+
+  /** @type {Map<string, number>} alarm name -> when */
+  const wanted = new Map();
+  if (settings.enabled) {
+    for (const item of (await loadReminderItems(settings)).values()) {
+      if (!item.endTime) continue;
+      for (const lead of settings.leadMinutes) {
+        const when = item.endTime - lead * 60 * 1000;
+        if (when > now) wanted.set(reminderAlarmName(lead, item.id), when);
+      }
+    }
+  }
+
+  const existing = await chrome.alarms.getAll();
+  for (const alarm of existing) {
+    if (!parseReminderAlarmName(alarm.name)) continue;
+    const when = wanted.get(alarm.name);
+    // Card countdowns are only minute-accurate; don't churn alarms over seconds.
+    if (when !== undefined && Math.abs(alarm.scheduledTime - when) < 60 * 1000) {
+      wanted.delete(alarm.name);
+    } else if (when === undefined) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  for (const [name, when] of wanted) {
+    await chrome.alarms.create(name, { when });
+  }
+
+  log("Synced reminder alarms", { created: wanted.size });
+}
+
+/**
+ * @param {chrome.alarms.Alarm} alarm
+ */
+async function onReminderAlarm(alarm) {
+  const parsed = parseReminderAlarmName(alarm.name);
+  if (!parsed) return;
+
+  const settings = await loadReminderSettings();
+  if (!settings.enabled) return;
+
+  const item = (await loadReminderItems(settings)).get(parsed.itemId);
+  if (!item) return;
+
+  const notificationId = alarm.name;
+  // Without a link to the item, the lot number is how to find it on the site.
+  const details = [
+    item.host,
+    !item.url && item.lotId && `lot ${item.lotId}`,
+    formatTimeLeft(item.endTime),
+  ];
+  if (item.currentBid) details.push(`bid ${formatMoney(item.currentBid)}`);
+
+  await chrome.notifications.create(notificationId, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: `Ending in ${parsed.leadMinutes} min`,
+    message: item.title,
+    contextMessage: details.filter(Boolean).join(" · "),
+    priority: 2,
+  });
+
+  const result = await chrome.storage.session.get(NOTIFICATION_URLS_KEY);
+  const urls = result?.[NOTIFICATION_URLS_KEY] || {};
+  // Without an item page, the site it was watched on (see onNotificationClicked).
+  urls[notificationId] = item.url || `https://${item.host}/`;
+  await chrome.storage.session.set({ [NOTIFICATION_URLS_KEY]: urls });
+}
+
+/**
+ * Open an item page in a new tab. A site's home page (an item without its own URL)
+ * brings a tab already on that site to the front instead, if there is one: that's
+ * likely where the item was watched.
+ * @param {string} url
+ */
+async function openNotificationUrl(url) {
+  const { host, pathname } = new URL(url);
+  if (pathname === "/") {
+    const [tab] = await chrome.tabs.query({ url: `*://${host}/*` });
+    if (tab) {
+      await chrome.tabs.update(tab.id, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return;
+    }
+  }
+  await chrome.tabs.create({ url });
+}
+
+/**
+ * @param {string} notificationId
+ */
+async function onNotificationClicked(notificationId) {
+  const result = await chrome.storage.session.get(NOTIFICATION_URLS_KEY);
+  const urls = result?.[NOTIFICATION_URLS_KEY] || {};
+  const url = urls[notificationId];
+  if (url) await openNotificationUrl(url);
+  chrome.notifications.clear(notificationId);
+
+  delete urls[notificationId];
+  await chrome.storage.session.set({ [NOTIFICATION_URLS_KEY]: urls });
+}
+
+/**
+ * Toolbar badge for one tab: how many cards are highlighted, with the full counts in
+ * the tooltip. Chrome resets per-tab badges when the tab navigates.
+ * @param {number} tabId
+ * @param {{ seen: number, highlighted: number, excluded: number }} stats
+ */
+function updateBadge(tabId, { seen, highlighted, excluded }) {
+  const text = !highlighted ? "" : highlighted > 999 ? "999+" : String(highlighted);
+  chrome.action.setBadgeBackgroundColor({ tabId, color: "#16a34a" });
+  chrome.action.setBadgeText({ tabId, text });
+  chrome.action.setTitle({
+    tabId,
+    title: `Phrase Filter: ${highlighted} highlighted, ${excluded} hidden of ${seen} items`,
+  });
+}
+
+/**
+ * What a page needs to draw its cards' price history.
+ * @param {{ host: string, itemIds: string[], phrases: PhraseEntry[] }} request
+ * @returns {Promise<CardPriceHistory>}
+ */
+async function loadPriceHistory({ host, itemIds, phrases }) {
+  const [series, medians] = await Promise.all([
+    loadBidSeries(itemIds || []),
+    similarSoldMedians(host, phrases || [], itemIds),
+  ]);
+  return { series, medians };
+}
+
+async function prunePriceHistoryNow() {
+  const { retentionDays } = await loadPriceHistorySettings();
+  const removed = await prunePriceHistory(retentionDays);
+  log("Pruned price history", { retentionDays, removed });
+}
+
+/**
+ * Prune shortly after each browser start, then daily for browsers left open.
+ */
+function schedulePriceHistoryPrune() {
+  chrome.alarms.create(PRUNE_PRICE_HISTORY_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: 24 * 60,
+  });
+}
+
+/**
+ * Migrate stored rules; a failure leaves them readable and is retried on the next
+ * browser start.
+ */
+async function migrateRules() {
+  try {
+    await migrateRulesStorage();
+  } catch (err) {
+    log("Rules migration failed", err);
+  }
+}
+
+const CONTEXT_MENU_KINDS = {
+  "phraseFilter:addInclude": { kind: "include", title: "Add “%s” to Interested" },
+  "phraseFilter:addExclude": { kind: "exclude", title: "Add “%s” to Not interested" },
+};
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const [id, { title }] of Object.entries(CONTEXT_MENU_KINDS)) {
+      chrome.contextMenus.create({ id, title, contexts: ["selection"] });
+    }
+  });
+}
+
+/**
+ * Hand the selection to the page's content script, which knows the site's rules.
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} [tab]
+ */
+async function onContextMenuClicked(info, tab) {
+  const menu = CONTEXT_MENU_KINDS[info.menuItemId];
+  if (!menu || tab?.id === undefined) return;
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, {
+      type: "phraseFilter:addPhrase",
+      kind: menu.kind,
+      text: info.selectionText,
+    });
+  } catch (err) {
+    // No content script there (not an auction site, or the page predates the install).
+    log("Could not add selected phrase", err);
+    chrome.notifications.create({
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: "Phrase Filter isn't running on this page",
+      message: "Open a supported auction site (or reload the page) and try again.",
+    });
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  migrateRules();
+  syncReminderAlarms();
+  createContextMenus();
+  schedulePriceHistoryPrune();
+});
+chrome.runtime.onStartup.addListener(() => {
+  migrateRules();
+  syncReminderAlarms();
+  schedulePriceHistoryPrune();
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === "phraseFilter:highlightedItems") {
+    updateHighlightedItems(message);
+  }
+  if (message?.type === "phraseFilter:pageStats" && sender.tab?.id !== undefined) {
+    updateBadge(sender.tab.id, message);
+  }
+  if (message?.type === "phraseFilter:recordBids") {
+    recordBidObservations(message.observations || []).catch((e) =>
+      log("Failed to record bids", e),
+    );
+  }
+  if (message?.type === "phraseFilter:priceHistory") {
+    loadPriceHistory(message).then(sendResponse, (e) => {
+      log("Failed to load price history", e);
+      sendResponse(null);
+    });
+    return true; // Responds asynchronously.
+  }
+  if (message?.type === "phraseFilter:pickupDistances") {
+    pickupDistances(message.zip, message.locations || []).then(sendResponse, (e) => {
+      log("Failed to work out pickup distances", e);
+      sendResponse(null);
+    });
+    return true;
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && (changes[WATCHLIST_KEY] || changes[HIGHLIGHTED_ITEMS_KEY])) {
+    syncReminderAlarms();
+  }
+  if (areaName === "sync" && changes[REMINDER_SETTINGS_KEY]) {
+    syncReminderAlarms();
+  }
+  // A shorter retention period applies right away.
+  if (areaName === "sync" && changes[PRICE_HISTORY_SETTINGS_KEY]) {
+    prunePriceHistoryNow().catch((e) => log("Failed to prune price history", e));
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PRUNE_PRICE_HISTORY_ALARM) {
+    prunePriceHistoryNow().catch((e) => log("Failed to prune price history", e));
+    return;
+  }
+  onReminderAlarm(alarm);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  onNotificationClicked(notificationId);
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  onContextMenuClicked(info, tab);
+});
@@ -0,0 +1,115 @@
+// Bidding budget.
+// Shared by the content script (records max bids as they're submitted, warns before
+// one goes over budget, shows the running total) and the popup (budget setting, the
+// list of committed bids, starting a new session).
+//
+// Committed bids are per-browser, in chrome.storage.local, one per item (a new max bid
+// on the same item replaces the old one), with the true total at the time (see fees.js):
+//   { "<item id>": { id, host, title, url, amount, total, endTime, at } }
+// A bid stops counting once its auction has ended, or a week after it was placed if
+// we never saw an end time. The budget is a setting, in chrome.storage.sync.
+
+const COMMITTED_BIDS_KEY = "phraseFilterCommittedBids";
+const BID_BUDGET_KEY = "phraseFilterBidBudget";
+
+const COMMITTED_BID_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CommittedBid
+ * @property {string} id - Item id (see watchItemId).
+ * @property {string} host
+ * @property {string} title
+ * @property {string} url
+ * @property {number} amount - The max bid.
+ * @property {number} total - What winning at the max bid costs, fees and tax included.
+ * @property {number|null} endTime - Epoch ms, if known.
+ * @property {number} at - Epoch ms the bid was placed.
+ */
+
+/**
+ * @param {CommittedBid} bid
+ * @param {number} [now]
+ */
+function isCommittedBidActive(bid, now = Date.now()) {
+  if (bid.endTime) return bid.endTime > now;
+  return now - bid.at < COMMITTED_BID_TTL_MS;
+}
+
+/**
+ * Bids that still count.
+ * @returns {Promise<Record<string, CommittedBid>>}
+ */
+async function loadCommittedBids() {
+  const result = await chrome.storage.local.get(COMMITTED_BIDS_KEY);
+  const bids = result?.[COMMITTED_BIDS_KEY];
+  if (!bids || typeof bids !== "object") return {};
+
+  const now = Date.now();
+  return Object.fromEntries(
+    Object.entries(bids).filter(([, bid]) => isCommittedBidActive(bid, now)),
+  );
+}
+
+/**
+ * Record (or replace) an item's max bid. Also drops bids that no longer count.
+ * @param {CommittedBid} bid
+ */
+async function commitMaxBid(bid) {
+  const bids = await loadCommittedBids();
+  bids[bid.id] = bid;
+  await chrome.storage.local.set({ [COMMITTED_BIDS_KEY]: bids });
+}
+
+/**
+ * @param {string} itemId
+ */
+async function removeCommittedBid(itemId) {
+  const bids = await loadCommittedBids();
+  delete bids[itemId];
+  await chrome.storage.local.set({ [COMMITTED_BIDS_KEY]: bids });
+}
+
+/**
+ * Start a new bidding session: forget every committed bid.
+ */
+async function clearCommittedBids() {
+  await chrome.storage.local.remove(COMMITTED_BIDS_KEY);
+}
+
+/**
+ * "Committed if all win": the sum of the bids' true totals.
+ * @param {Record<string, CommittedBid>} bids
+ * @param {string} [exceptId] - Leave out this item (its bid is about to be replaced).
+ */
+function committedBidTotal(bids, exceptId) {
+  let total = 0;
+  for (const bid of Object.values(bids)) {
+    if (bid.id !== exceptId) total += bid.total;
+  }
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * @param {any} raw - The stored { amount } value.
+ * @returns {number|null} The budget in dollars; null if none is set.
+ */
+function normalizeBidBudget(raw) {
+  const amount = Number(raw?.amount);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+async function loadBidBudget() {
+  const result = await chrome.storage.sync.get(BID_BUDGET_KEY);
+  return normalizeBidBudget(result?.[BID_BUDGET_KEY]);
+}
+
+/**
+ * @param {number|null} amount - null (or 0) clears the budget.
+ */
+async function saveBidBudget(amount) {
+  if (amount > 0) {
+    await chrome.storage.sync.set({ [BID_BUDGET_KEY]: { amount } });
+  } else {
+    await chrome.storage.sync.remove(BID_BUDGET_KEY);
+  }
+}
@@ -1,51 +1,127 @@
 // Content script.
-// Loads per-host rules from chrome.storage.sync and stays in sync as they change.
+// Loads the rules in effect on this host (global rules plus the host's registrable
+// domain's; see rulesStorage.js) and stays in sync as they change.
 // Applies include/exclude phrase filtering based on selector:
 // - include phrase match => highlight the card
-// - exclude phrase match => apply a blue overlay (dim) the card (still clickable)
+// - exclude phrase match => depends on the host's display mode:
+//   overlay (blue overlay, still clickable), collapse (one-line stub) or remove (display: none).
+//   A floating banner counts collapsed/removed cards and can reveal them temporarily.
 //
-// Item card selection is hard-coded per host (no user-provided selectors).
+// Everything site-specific (card selector, field extractors, bid controls, default fees,
+// page types) lives in a site adapter (adapters/*.js, loaded first), unless the user
+// picked selectors for the host with the element picker (picker.js); picked selectors
+// take priority.
+//
+// Phrases are organized into named groups that can be switched off (phraseGroups.js).
+// Phrases match against card fields (title by default; see each adapter's `fields`).
+// Phrases can match as substring, whole word, wildcard, regex or a boolean rule
+// expression (see phrases.js and ruleExpression.js).
+// Each card gets a star button that saves it to the watchlist (watchlist.js), and
+// marked cards a "?" chip explaining which phrases matched, with actions to remove a
+// phrase or ignore it for that item (matchIgnores.js). Interested / Not interested
+// buttons add a phrase suggested from the card title (phraseSuggestions.js); the
+// context menu (background.js) adds selected text the same way.
+// Highlighted cards with an end time are reported to the background worker
+// (background.js) for end-of-auction reminders, and page counts for the popup and
+// toolbar badge. Cards can optionally be reordered (matches first, true total, end time).
+// Cards not seen on an earlier visit get a NEW badge; seen ones can be dimmed
+// (seenItems.js).
+// A per-site pickup filter hides cards picked up outside allowed locations or a radius
+// around a ZIP code (pickupLocations.js).
+// Bid totals use the host's active fee profile (see fees.js, loaded first); cards with a
+// retail price get a discount badge, and can be dimmed under a minimum discount. Submitted
+// max bids are recorded against a budget, with a running "committed if all win" total
+// and a warning before a bid goes over (bidBudget.js). On account / invoice pages, won
+// items are priced the same way into an estimated invoice per pickup (invoiceEstimate.js).
+// Card bids go to the background worker's price history (priceHistory.js), which gives
+// back a sparkline per card and, for highlighted cards, what similar items sold for.
+//
+// Rules are compiled once per change and applied to every card; after that, DOM
+// mutations only queue the cards they touched, which are re-checked in one batch per
+// frame and skipped if their fields haven't changed (see scanCards).
 
-const STORAGE_KEY = "phraseFilterRulesByHost";
+const SITE_CONFIG_KEY = "phraseFilterSiteConfigByHost";
 
 const HIGHLIGHT_ATTR = "data-phrasefilter-highlight";
+const OVER_BUDGET_ATTR = "data-phrasefilter-over-budget";
+const BUDGET_NOTE_ATTR = "data-phrasefilter-budget-note";
 const HIDDEN_ATTR = "data-phrasefilter-hidden";
+const STUB_ATTR = "data-phrasefilter-stub";
+
+// Set on <html>: the host's display mode for excluded cards, and whether they're revealed.
+const DISPLAY_MODE_ATTR = "data-phrasefilter-display";
+// Seen listings (seenItems.js): on cards seen before this page view, and on the root
+// when the site wants those dimmed.
+const SEEN_ATTR = "data-phrasefilter-seen";
+const DIM_SEEN_ATTR = "data-phrasefilter-dim-seen";
+const NEW_BADGE_CLASS = "phrasefilter-new";
+// Discount off retail: a badge on cards with a retail price, and on cards under the
+// site's minimum discount (SiteRules.minDiscount), which are dimmed.
+const DEAL_BADGE_CLASS = "phrasefilter-deal";
+const BELOW_MIN_DISCOUNT_ATTR = "data-phrasefilter-below-min-discount";
+const REVEAL_ATTR = "data-phrasefilter-reveal";
+
+const BANNER_ID = "phrasefilter-banner";
+
+const WATCH_BUTTON_CLASS = "phrasefilter-watch";
+const WHY_CHIP_CLASS = "phrasefilter-why";
+const WHY_PANEL_CLASS = "phrasefilter-why-panel";
+const QUICK_ACTIONS_CLASS = "phrasefilter-quick";
+const QUICK_PANEL_CLASS = "phrasefilter-quick-panel";
+// Shared look of the small in-card panels (match explanation, quick add).
+const CARD_PANEL_CLASS = "phrasefilter-panel";
+const TOAST_ID = "phrasefilter-toast";
+const BUDGET_WIDGET_ID = "phrasefilter-budget";
+const INVOICE_PANEL_ID = "phrasefilter-invoice";
+const PRICE_HISTORY_CLASS = "phrasefilter-history";
+const WATCH_ID_ATTR = "data-phrasefilter-watch-id";
+const WATCHABLE_ATTR = "data-phrasefilter-watchable";
+
+/** @type {ExcludeDisplayMode[]} */
+const EXCLUDE_DISPLAY_MODES = ["overlay", "collapse", "remove"];
+
+/** @type {CardSortOrder[]} */
+const CARD_SORT_ORDERS = ["site", "matches", "total", "endTime"];
+
+/** Deal badge color by percent off retail; the first tier reached wins. */
+const DEAL_TIERS = [
+  { min: 70, tier: "great" },
+  { min: 40, tier: "good" },
+  { min: 0, tier: "fair" },
+];
 
 /**
- * Hard-coded per-host item selectors.
- *
- * Notes:
- * - Keys are registrable domains (e.g. "bidfta.com"), and matching supports subdomains.
- * - Values must select the listing/card root elements (the "cards") that contain the title.
- *
- * Add/adjust selectors here as new auction sites are supported.
+ * @typedef {Object} SiteRules
+ * @property {PhraseGroup[]} [groups] - See phraseGroups.js; only enabled groups match.
+ * @property {Array<string|PhraseEntry>} [includePhrases] - Pre-group format.
+ * @property {Array<string|PhraseEntry>} [excludePhrases] - Pre-group format.
+ * @property {string[]} [disabledGlobalPhrases] - Global phrases switched off on this
+ *   site (see globalPhraseKey).
+ * @property {ExcludeDisplayMode} [excludeDisplay]
+ * @property {CardSortOrder} [sortOrder]
+ * @property {boolean} [dimSeen] - Dim cards already seen on an earlier visit.
+ * @property {number} [minDiscount] - Dim cards whose true total is less than this
+ *   percent off their retail price (1-99).
+ * @property {PickupFilter} [pickupFilter] - Hide cards picked up elsewhere (see
+ *   pickupLocations.js).
  */
-const ITEM_SELECTOR_BY_DOMAIN = {
-  // BidFTA: card container has role="button" and a stable aria-label in our observed DOM.
-  "bidfta.com":
-    'div[role="button"][aria-label="Click to navigate to item details"]',
-
-  // GovDeals: listing card root is a Bootstrap-ish card used in search results.
-  "govdeals.com": "div.card.card-search",
-};
 
 /**
- * Hard-coded per-host title selectors.
- *
- * Values must select an element within the card whose text (or title attr) contains the listing title.
+ * @typedef {"overlay"|"collapse"|"remove"} ExcludeDisplayMode
  */
-const TITLE_SELECTOR_BY_DOMAIN = {
-  // BidFTA: title is inside an <h4 ...>Title</h4> within the card.
-  "bidfta.com": "h4",
 
-  // GovDeals: title is inside <p class=\"card-title\"><a ...>Title</a></p>.
-  "govdeals.com": ".card-title a",
-};
+/**
+ * How to order cards within their container: as the site had them, highlighted first
+ * (then neutral, then excluded), by true total (lowest first) or by end time (soonest
+ * first). The last two also put excluded cards last.
+ * @typedef {"site"|"matches"|"total"|"endTime"} CardSortOrder
+ */
 
 /**
- * @typedef {Object} SiteRules
- * @property {string[]} [includePhrases]
- * @property {string[]} [excludePhrases]
+ * User-defined selectors for a host, saved by the element picker.
+ * @typedef {Object} SiteConfig
+ * @property {string} [itemSelector]
+ * @property {string} [titleSelector]
  */
 
 /**
@@ -53,8 +129,8 @@ const TITLE_SELECTOR_BY_DOMAIN = {
  */
 function defaultSiteRules() {
   return {
-    includePhrases: [],
-    excludePhrases: [],
+    groups: [],
+    excludeDisplay: "overlay",
   };
 }
 
@@ -67,56 +143,47 @@ function safeHostFromLocation() {
 }
 
 /**
+ * Get the item selector for a host: the user's picked selector if there is one,
+ * otherwise the site adapter's (supports subdomains).
+ * Returns "" if the host isn't supported yet.
  * @param {string} host
- * @param {string} domain
  */
-function hostMatchesDomain(host, domain) {
-  if (!host || !domain) return false;
-  return host === domain || host.endsWith(`.${domain}`);
+function getItemSelectorForHost(host) {
+  const picked = (currentSiteConfig.itemSelector || "").trim();
+  if (picked) return picked;
+  return (getSiteAdapterForHost(host)?.cardSelector || "").trim();
 }
 
 /**
- * Get the hard-coded item selector for a host (supports subdomains).
+ * Get the field extractors for a host (supports subdomains). A picked title selector
+ * replaces the adapter's title extractor. Returns {} if nothing is known for the host.
  * @param {string} host
  */
-function getItemSelectorForHost(host) {
-  for (const [domain, selector] of Object.entries(ITEM_SELECTOR_BY_DOMAIN)) {
-    if (!hostMatchesDomain(host, domain)) continue;
-    const trimmed = (selector || "").trim();
-    if (trimmed) return trimmed;
-    break;
-  }
-  // NOTE: return not handled if selector not found
+function getFieldExtractorsForHost(host) {
+  const extractors = getSiteAdapterForHost(host)?.fields || {};
+  const pickedTitle = (currentSiteConfig.titleSelector || "").trim();
+  return pickedTitle ? { ...extractors, title: pickedTitle } : extractors;
 }
 
 /**
- * Get the hard-coded title selector for a host (supports subdomains).
- * Returns "" if no mapping exists or the mapping is blank.
+ * Load the user-defined site config (picked selectors) for a host.
  * @param {string} host
+ * @returns {Promise<SiteConfig>}
  */
-function getTitleSelectorForHost(host) {
-  for (const [domain, selector] of Object.entries(TITLE_SELECTOR_BY_DOMAIN)) {
-    if (!hostMatchesDomain(host, domain)) continue;
-    return (selector || "").trim();
-  }
-  return "";
-}
-
-async function loadRulesByHost() {
-  const result = await chrome.storage.sync.get(STORAGE_KEY);
-  const rulesByHost = result?.[STORAGE_KEY];
-  return rulesByHost && typeof rulesByHost === "object" ? rulesByHost : {};
+async function loadSiteConfig(host) {
+  const result = await chrome.storage.sync.get(SITE_CONFIG_KEY);
+  const configByHost = result?.[SITE_CONFIG_KEY];
+  return (configByHost && configByHost[host]) || {};
 }
 
 /**
- * Load rules for the current host.
+ * Load the rules in effect on the current host: global groups plus the ones for its
+ * domain (see rulesStorage.js).
  * @param {string} host
  * @returns {Promise<SiteRules>}
  */
 async function loadSiteRules(host) {
-  const rulesByHost = await loadRulesByHost();
-  const siteRules = rulesByHost[host];
-  return { ...defaultSiteRules(), ...(siteRules || {}) };
+  return { ...defaultSiteRules(), ...(await loadEffectiveRules(host)) };
 }
 
 /**
@@ -133,15 +200,130 @@ function normalizeText(s) {
   return (s || "").toString().trim().toLowerCase();
 }
 
-function normalizePhrases(arr) {
-  const list = Array.isArray(arr) ? arr : [];
-  return list.map(normalizeText).filter(Boolean);
+/**
+ * Compile stored phrases into matchers. Entries that fail to compile (e.g. a bad regex
+ * saved by an older popup) are skipped rather than breaking the whole page.
+ * @param {any[]} arr
+ */
+function compilePhrases(arr) {
+  const matchers = [];
+  for (const entry of normalizePhraseEntries(arr)) {
+    try {
+      matchers.push(compilePhraseEntry(entry));
+    } catch (err) {
+      log("Skipping invalid phrase", { entry, error: String(err) });
+    }
+  }
+  return matchers;
+}
+
+/**
+ * Where a phrase came from, so a match can be explained and the phrase edited.
+ * @typedef {Object} PhraseSource
+ * @property {"includePhrases"|"excludePhrases"} listKey
+ * @property {string} groupId
+ * @property {string} groupName
+ * @property {"global"|"site"} tier
+ */
+
+/**
+ * @typedef {ReturnType<typeof compilePhraseEntry> & { source: PhraseSource }} PhraseMatcher
+ */
+
+/**
+ * @typedef {Object} CompiledRules
+ * @property {SiteRules} rules - What these were compiled from.
+ * @property {PhraseMatcher[]} includeMatchers
+ * @property {PhraseMatcher[]} excludeMatchers
+ * @property {PickupFilter|null} pickupFilter
+ * @property {ReturnType<typeof compileAllowedLocations>} pickupLocationMatchers - For
+ *   pickupFilter.locations.
+ */
+
+/**
+ * Compile the enabled phrases once per rules change, rather than once per card.
+ * @param {SiteRules} rules
+ * @returns {CompiledRules}
+ */
+function compileSiteRules(rules) {
+  const pickupFilter = normalizePickupFilter(rules.pickupFilter);
+  const compiled = {
+    rules,
+    includeMatchers: [],
+    excludeMatchers: [],
+    pickupFilter,
+    pickupLocationMatchers: compileAllowedLocations(pickupFilter?.locations || []),
+  };
+  for (const group of getPhraseGroups(rules)) {
+    if (!group.enabled) continue;
+    for (const [listKey, matchers] of [
+      ["includePhrases", compiled.includeMatchers],
+      ["excludePhrases", compiled.excludeMatchers],
+    ]) {
+      for (const matcher of compilePhrases(group[listKey])) {
+        const source = {
+          listKey,
+          groupId: group.id,
+          groupName: group.name,
+          tier: group.tier || "site",
+        };
+        matchers.push({ ...matcher, source });
+      }
+    }
+  }
+  return compiled;
+}
+
+/**
+ * One phrase matching a card, for explanations.
+ * @typedef {Object} PhraseMatch
+ * @property {PhraseEntry} entry
+ * @property {PhraseSource} source
+ * @property {string} field - The card field it matched in.
+ * @property {string} key - See globalPhraseKey; also what per-item ignores store.
+ */
+
+/**
+ * Every phrase that matches its target field, minus the ones ignored for this item.
+ * @param {Record<string, string>} fieldsLower - Lowercased card fields.
+ * @param {PhraseMatcher[]} matchers
+ * @param {Set<string>} ignoredKeys
+ * @returns {PhraseMatch[]}
+ */
+function findPhraseMatches(fieldsLower, matchers, ignoredKeys) {
+  const matches = [];
+  for (const m of matchers || []) {
+    const haystackLower = haystackForField(fieldsLower, m.entry.field);
+    if (!haystackLower || !m.test(haystackLower)) continue;
+
+    const key = globalPhraseKey(m.source.listKey, m.entry);
+    if (ignoredKeys.has(key)) continue;
+
+    // For "any", name the first field that matches on its own (a rule can also
+    // match across fields, in which case it stays "any").
+    const field =
+      m.entry.field === "any"
+        ? Object.keys(fieldsLower).find((f) => fieldsLower[f] && m.test(fieldsLower[f])) ||
+          "any"
+        : m.entry.field;
+    matches.push({ entry: m.entry, source: m.source, field, key });
+  }
+  return matches;
 }
 
-function hasAnyPhrase(haystackLower, phrasesLower) {
-  if (!haystackLower) return false;
-  if (!phrasesLower || !phrasesLower.length) return false;
-  return phrasesLower.some((p) => p && haystackLower.includes(p));
+/**
+ * The ceiling that applies when several include phrases match: the most generous one.
+ * A matching phrase without a ceiling means there's no limit.
+ * @param {PhraseEntry[]} entries
+ * @returns {number|null}
+ */
+function priceCeilingForMatches(entries) {
+  let ceiling = 0;
+  for (const entry of entries) {
+    if (!entry.maxPrice) return null;
+    ceiling = Math.max(ceiling, entry.maxPrice);
+  }
+  return ceiling || null;
 }
 
 function injectHighlightCssOnce() {
@@ -157,6 +339,85 @@ function injectHighlightCssOnce() {
       box-shadow: 0 0 0 4px rgba(245, 158, 11, 0.25) !important;
     }
 
+    html[${DIM_SEEN_ATTR}] [${SEEN_ATTR}="1"]:not([${HIGHLIGHT_ATTR}]) {
+      opacity: 0.5 !important;
+      transition: opacity 0.15s ease !important;
+    }
+
+    html[${DIM_SEEN_ATTR}] [${SEEN_ATTR}="1"]:not([${HIGHLIGHT_ATTR}]):hover {
+      opacity: 1 !important;
+    }
+
+    .${NEW_BADGE_CLASS} {
+      position: absolute !important;
+      top: 6px !important;
+      left: 6px !important;
+      z-index: 3 !important;
+      padding: 1px 6px !important;
+      border-radius: 9999px !important;
+      font: 700 10px/1.5 system-ui, sans-serif !important;
+      letter-spacing: 0.04em !important;
+      color: #ffffff !important;
+      background: #2563eb !important;
+      pointer-events: none !important;
+    }
+
+    .${DEAL_BADGE_CLASS} {
+      position: absolute !important;
+      top: 6px !important;
+      left: 50% !important;
+      transform: translateX(-50%) !important;
+      z-index: 3 !important;
+      padding: 1px 8px !important;
+      border-radius: 9999px !important;
+      font: 700 11px/1.5 system-ui, sans-serif !important;
+      white-space: nowrap !important;
+      color: #ffffff !important;
+      background: #6b7280 !important;
+    }
+
+    .${DEAL_BADGE_CLASS}[data-tier="great"] {
+      background: #16a34a !important;
+    }
+
+    .${DEAL_BADGE_CLASS}[data-tier="good"] {
+      background: #d97706 !important;
+    }
+
+    .${DEAL_BADGE_CLASS}[data-tier="over"] {
+      background: #dc2626 !important;
+    }
+
+    [${BELOW_MIN_DISCOUNT_ATTR}="1"] {
+      opacity: 0.45 !important;
+      transition: opacity 0.15s ease !important;
+    }
+
+    [${BELOW_MIN_DISCOUNT_ATTR}="1"]:hover {
+      opacity: 1 !important;
+    }
+
+    /* Matched, but the true total is already past the phrase's price ceiling. */
+    [${OVER_BUDGET_ATTR}="1"] {
+      position: relative !important;
+      outline: 3px dashed #dc2626 !important;
+      outline-offset: 2px !important;
+    }
+
+    [${OVER_BUDGET_ATTR}="1"]::before {
+      content: attr(${BUDGET_NOTE_ATTR}) !important;
+      position: absolute !important;
+      top: 6px !important;
+      left: 6px !important;
+      z-index: 3 !important;
+      padding: 2px 8px !important;
+      border-radius: 9999px !important;
+      font: 600 11px/1.4 system-ui, sans-serif !important;
+      color: #ffffff !important;
+      background: rgba(220, 38, 38, 0.92) !important;
+      pointer-events: none !important;
+    }
+
     /* Excluded cards: blue overlay, but keep content legible and clickable. */
     [${HIDDEN_ATTR}="1"] {
       position: relative !important;
@@ -171,42 +432,436 @@ function injectHighlightCssOnce() {
       pointer-events: none !important;
       border-radius: inherit !important;
     }
+
+    /* Collapse mode: replace the card's content with a one-line stub. */
+    html[${DISPLAY_MODE_ATTR}="collapse"]:not([${REVEAL_ATTR}]) [${HIDDEN_ATTR}="1"] {
+      height: auto !important;
+      min-height: 0 !important;
+    }
+
+    html[${DISPLAY_MODE_ATTR}="collapse"]:not([${REVEAL_ATTR}]) [${HIDDEN_ATTR}="1"] > * {
+      display: none !important;
+    }
+
+    html[${DISPLAY_MODE_ATTR}="collapse"]:not([${REVEAL_ATTR}]) [${HIDDEN_ATTR}="1"]::after {
+      display: none !important;
+    }
+
+    html[${DISPLAY_MODE_ATTR}="collapse"]:not([${REVEAL_ATTR}]) [${HIDDEN_ATTR}="1"]::before {
+      content: attr(${STUB_ATTR}) !important;
+      display: block !important;
+      padding: 4px 8px !important;
+      overflow: hidden !important;
+      text-overflow: ellipsis !important;
+      white-space: nowrap !important;
+      font: 12px/1.4 system-ui, sans-serif !important;
+      color: #1d4ed8 !important;
+      background: rgba(37, 99, 235, 0.08) !important;
+      border: 1px dashed rgba(37, 99, 235, 0.35) !important;
+      border-radius: 6px !important;
+    }
+
+    /* Remove mode: take excluded cards out of the layout entirely. */
+    html[${DISPLAY_MODE_ATTR}="remove"]:not([${REVEAL_ATTR}]) [${HIDDEN_ATTR}="1"] {
+      display: none !important;
+    }
+
+    [${WATCHABLE_ATTR}="1"] {
+      position: relative !important;
+    }
+
+    .${WATCH_BUTTON_CLASS} {
+      position: absolute !important;
+      top: 6px !important;
+      right: 6px !important;
+      z-index: 3 !important;
+      width: 28px !important;
+      height: 28px !important;
+      padding: 0 !important;
+      border: 1px solid rgba(17, 24, 39, 0.15) !important;
+      border-radius: 9999px !important;
+      font: 16px/26px system-ui, sans-serif !important;
+      text-align: center !important;
+      color: #b45309 !important;
+      background: rgba(255, 255, 255, 0.92) !important;
+      cursor: pointer !important;
+    }
+
+    .${WATCH_BUTTON_CLASS}[aria-pressed="true"] {
+      background: #fde68a !important;
+    }
+
+    .${WHY_CHIP_CLASS} {
+      position: absolute !important;
+      top: 6px !important;
+      right: 40px !important;
+      z-index: 3 !important;
+      width: 28px !important;
+      height: 28px !important;
+      padding: 0 !important;
+      border: 1px solid rgba(17, 24, 39, 0.15) !important;
+      border-radius: 9999px !important;
+      font: 600 14px/26px system-ui, sans-serif !important;
+      text-align: center !important;
+      color: #1f2937 !important;
+      background: rgba(255, 255, 255, 0.92) !important;
+      cursor: pointer !important;
+    }
+
+    .${CARD_PANEL_CLASS} {
+      position: absolute !important;
+      z-index: 4 !important;
+      max-width: 300px !important;
+      padding: 8px !important;
+      border: 1px solid rgba(17, 24, 39, 0.15) !important;
+      border-radius: 8px !important;
+      font: 12px/1.4 system-ui, sans-serif !important;
+      text-align: left !important;
+      color: #111827 !important;
+      background: #ffffff !important;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2) !important;
+      cursor: default !important;
+    }
+
+    .${CARD_PANEL_CLASS}[hidden] {
+      display: none !important;
+    }
+
+    .${WHY_PANEL_CLASS} {
+      top: 40px !important;
+      right: 6px !important;
+    }
+
+    .${QUICK_PANEL_CLASS} {
+      bottom: 34px !important;
+      left: 6px !important;
+      min-width: 220px !important;
+    }
+
+    .${CARD_PANEL_CLASS} .phrasefilter-why-row {
+      display: flex !important;
+      flex-wrap: wrap !important;
+      align-items: center !important;
+      gap: 4px !important;
+      margin-top: 6px !important;
+    }
+
+    .${CARD_PANEL_CLASS} .phrasefilter-why-row > span {
+      flex-basis: 100% !important;
+    }
+
+    .${CARD_PANEL_CLASS} button,
+    .${QUICK_ACTIONS_CLASS} button {
+      padding: 2px 8px !important;
+      border: 1px solid rgba(17, 24, 39, 0.2) !important;
+      border-radius: 9999px !important;
+      font: inherit !important;
+      color: #111827 !important;
+      background: #f3f4f6 !important;
+      cursor: pointer !important;
+    }
+
+    .${CARD_PANEL_CLASS} .phrasefilter-why-status {
+      margin-top: 6px !important;
+      color: #b91c1c !important;
+    }
+
+    .${CARD_PANEL_CLASS} input,
+    .${CARD_PANEL_CLASS} select {
+      min-width: 0 !important;
+      padding: 2px 6px !important;
+      border: 1px solid rgba(17, 24, 39, 0.2) !important;
+      border-radius: 6px !important;
+      font: inherit !important;
+      color: #111827 !important;
+      background: #ffffff !important;
+    }
+
+    .${CARD_PANEL_CLASS} button.phrasefilter-suggestion {
+      background: #fef3c7 !important;
+    }
+
+    .${PRICE_HISTORY_CLASS} {
+      position: absolute !important;
+      bottom: 6px !important;
+      right: 6px !important;
+      z-index: 3 !important;
+      display: flex !important;
+      align-items: center !important;
+      gap: 4px !important;
+      padding: 1px 6px !important;
+      border-radius: 9999px !important;
+      font: 600 11px/1.5 system-ui, sans-serif !important;
+      color: #1f2937 !important;
+      background: rgba(255, 255, 255, 0.92) !important;
+      box-shadow: 0 0 0 1px rgba(17, 24, 39, 0.15) !important;
+    }
+
+    .${PRICE_HISTORY_CLASS} svg {
+      display: block !important;
+    }
+
+    .${PRICE_HISTORY_CLASS} polyline {
+      fill: none !important;
+      stroke: #2563eb !important;
+      stroke-width: 1.5 !important;
+    }
+
+    .${QUICK_ACTIONS_CLASS} {
+      position: absolute !important;
+      bottom: 6px !important;
+      left: 6px !important;
+      z-index: 3 !important;
+      display: flex !important;
+      gap: 4px !important;
+      font: 11px/1.4 system-ui, sans-serif !important;
+    }
+
+    #${TOAST_ID} {
+      position: fixed !important;
+      left: 16px !important;
+      bottom: 16px !important;
+      z-index: 2147483647 !important;
+      max-width: 360px !important;
+      padding: 8px 12px !important;
+      border-radius: 8px !important;
+      font: 600 12px/1.4 system-ui, sans-serif !important;
+      color: #ffffff !important;
+      background: rgba(17, 24, 39, 0.92) !important;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25) !important;
+    }
+
+    #${TOAST_ID}[hidden] {
+      display: none !important;
+    }
+
+    #${BUDGET_WIDGET_ID} {
+      position: fixed !important;
+      right: 16px !important;
+      bottom: 56px !important;
+      z-index: 2147483647 !important;
+      padding: 6px 12px !important;
+      border-radius: 9999px !important;
+      font: 600 12px/1.4 system-ui, sans-serif !important;
+      color: #ffffff !important;
+      background: rgba(5, 150, 105, 0.92) !important;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25) !important;
+      white-space: pre !important;
+    }
+
+    #${BUDGET_WIDGET_ID}[data-over-budget="1"] {
+      background: rgba(185, 28, 28, 0.92) !important;
+    }
+
+    #${BUDGET_WIDGET_ID}[hidden] {
+      display: none !important;
+    }
+
+    #${INVOICE_PANEL_ID} {
+      position: fixed !important;
+      top: 80px !important;
+      right: 16px !important;
+      z-index: 2147483647 !important;
+      width: 320px !important;
+      max-height: 70vh !important;
+      overflow: auto !important;
+      padding: 10px 12px !important;
+      border-radius: 10px !important;
+      font: 12px/1.4 system-ui, sans-serif !important;
+      color: #111827 !important;
+      background: #ffffff !important;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25) !important;
+    }
+
+    #${INVOICE_PANEL_ID}[hidden] {
+      display: none !important;
+    }
+
+    #${INVOICE_PANEL_ID} .phrasefilter-invoice-head {
+      display: flex !important;
+      align-items: center !important;
+      gap: 6px !important;
+      margin-bottom: 6px !important;
+    }
+
+    #${INVOICE_PANEL_ID} .phrasefilter-invoice-head strong {
+      flex: 1 !important;
+      font-size: 13px !important;
+    }
+
+    #${INVOICE_PANEL_ID} section {
+      margin-top: 8px !important;
+      padding-top: 8px !important;
+      border-top: 1px solid #e5e7eb !important;
+    }
+
+    #${INVOICE_PANEL_ID} button {
+      padding: 2px 8px !important;
+      border: 1px solid rgba(17, 24, 39, 0.15) !important;
+      border-radius: 9999px !important;
+      font: inherit !important;
+      color: #111827 !important;
+      background: #f3f4f6 !important;
+      cursor: pointer !important;
+    }
+
+    #${INVOICE_PANEL_ID} .phrasefilter-invoice-meta {
+      color: #6b7280 !important;
+    }
+
+    #${INVOICE_PANEL_ID} ol {
+      margin: 4px 0 0 !important;
+      padding-left: 18px !important;
+    }
+
+    /* Keep the explanation reachable on collapsed stubs. */
+    html[${DISPLAY_MODE_ATTR}="collapse"]:not([${REVEAL_ATTR}]) [${HIDDEN_ATTR}="1"] > .${WHY_CHIP_CLASS} {
+      display: block !important;
+      top: 2px !important;
+      right: 6px !important;
+      width: 20px !important;
+      height: 20px !important;
+      font-size: 12px !important;
+      line-height: 18px !important;
+    }
+
+    html[${DISPLAY_MODE_ATTR}="collapse"]:not([${REVEAL_ATTR}]) [${HIDDEN_ATTR}="1"] > .${WHY_PANEL_CLASS}:not([hidden]) {
+      display: block !important;
+      top: 26px !important;
+    }
+
+    #${BANNER_ID} {
+      position: fixed !important;
+      right: 16px !important;
+      bottom: 16px !important;
+      z-index: 2147483647 !important;
+      display: flex !important;
+      align-items: center !important;
+      gap: 8px !important;
+      padding: 6px 8px 6px 12px !important;
+      border-radius: 9999px !important;
+      font: 600 12px/1.4 system-ui, sans-serif !important;
+      color: #ffffff !important;
+      background: rgba(29, 78, 216, 0.92) !important;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25) !important;
+    }
+
+    #${BANNER_ID}[hidden] {
+      display: none !important;
+    }
+
+    #${BANNER_ID} button {
+      padding: 2px 10px !important;
+      border: 0 !important;
+      border-radius: 9999px !important;
+      font: inherit !important;
+      color: #1d4ed8 !important;
+      background: #ffffff !important;
+      cursor: pointer !important;
+    }
   `.trim();
   document.head.appendChild(style);
 }
 
 /**
- * Attempt to find the title element inside a card for the current host.
- * @param {string} host
+ * Extract every field the current host defines for a card.
  * @param {Element} card
- * @returns {HTMLElement|null}
+ * @returns {Record<string, string>}
  */
-function findTitleElementForHost(host, card) {
-  const titleSelector = getTitleSelectorForHost(host);
-  if (!titleSelector) return null;
-
-  const el = card.querySelector(titleSelector);
-  if (!el) return null;
-
-  return /** @type {HTMLElement} */ (el);
+function extractCardFields(card) {
+  const fields = {};
+  for (const [field, extractor] of Object.entries(
+    getFieldExtractorsForHost(currentHost),
+  )) {
+    fields[field] = runFieldExtractor(card, extractor);
+  }
+  return fields;
 }
 
 function getTitleTextFromCard(card) {
-  const titleEl = findTitleElementForHost(currentHost, card);
-  if (!titleEl) return "";
-  // Prefer element title; fall back to visible text (sometimes visible text is shortened).
-  // NOTE: this may eventually need to be more customizeable for a given host
-  return (titleEl.getAttribute("title") || titleEl.textContent || "").trim();
+  const extractor = getFieldExtractorsForHost(currentHost).title;
+  return runFieldExtractor(card, extractor);
 }
 
-function setHidden(card, shouldHide) {
-  // We no longer hide cards; we mark them as excluded so CSS can overlay them.
-  // Overlay uses pointer-events: none so the card remains clickable.
+/**
+ * Mark a card as excluded. How it looks is up to CSS and the display mode on <html>:
+ * the overlay uses pointer-events: none so the card remains clickable, collapse shows
+ * the stub text, remove hides it.
+ * @param {Element} card
+ * @param {boolean} shouldHide
+ * @param {string} [stubText] - One-line summary shown in collapse mode.
+ */
+function setHidden(card, shouldHide, stubText) {
   if (shouldHide) {
     card.setAttribute(HIDDEN_ATTR, "1");
+    card.setAttribute(STUB_ATTR, stubText || "Hidden item");
   } else {
     card.removeAttribute(HIDDEN_ATTR);
+    card.removeAttribute(STUB_ATTR);
+  }
+}
+
+/**
+ * @param {SiteRules} rules
+ * @returns {ExcludeDisplayMode}
+ */
+function getExcludeDisplayMode(rules) {
+  return EXCLUDE_DISPLAY_MODES.includes(rules.excludeDisplay)
+    ? rules.excludeDisplay
+    : "overlay";
+}
+
+let revealHidden = false;
+
+function applyDisplayMode(mode) {
+  const root = document.documentElement;
+  root.setAttribute(DISPLAY_MODE_ATTR, mode);
+  if (revealHidden) {
+    root.setAttribute(REVEAL_ATTR, "1");
+  } else {
+    root.removeAttribute(REVEAL_ATTR);
+  }
+}
+
+/**
+ * Show/update the "N items hidden" banner. Only shown when excluded cards are
+ * actually out of sight (collapse/remove modes).
+ * @param {ExcludeDisplayMode} mode
+ * @param {number} hiddenCount
+ */
+function updateHiddenBanner(mode, hiddenCount) {
+  let banner = document.getElementById(BANNER_ID);
+  if (!banner) {
+    if (mode === "overlay" || !hiddenCount) return;
+
+    banner = document.createElement("div");
+    banner.id = BANNER_ID;
+
+    const label = document.createElement("span");
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.addEventListener("click", () => {
+      revealHidden = !revealHidden;
+      applyDisplayMode(getExcludeDisplayMode(currentRules));
+      updateHiddenBanner(
+        getExcludeDisplayMode(currentRules),
+        document.querySelectorAll(`[${HIDDEN_ATTR}="1"]`).length,
+      );
+    });
+
+    banner.append(label, toggle);
+    document.body.appendChild(banner);
   }
+
+  const [label, toggle] = banner.children;
+  const labelText = `${hiddenCount} item${hiddenCount === 1 ? "" : "s"} ${revealHidden ? "shown" : "hidden"}`;
+  const toggleText = revealHidden ? "Hide" : "Show";
+
+  // Only touch the DOM when something changed; the observer watches the whole document.
+  const shouldHideBanner = mode === "overlay" || !hiddenCount;
+  if (banner.hidden !== shouldHideBanner) banner.hidden = shouldHideBanner;
+  if (label.textContent !== labelText) label.textContent = labelText;
+  if (toggle.textContent !== toggleText) toggle.textContent = toggleText;
 }
 
 function setHighlighted(card, shouldHighlight) {
@@ -218,42 +873,169 @@ function setHighlighted(card, shouldHighlight) {
 }
 
 /**
- * Calculate true total cost for a bid including buyer's premium, freight, and sales tax.
- * @param {number} bidAmount - The bid amount in dollars
- * @returns {number} Total cost after all fees and taxes
+ * @param {Element} card
+ * @param {string} note - e.g. "$52.10 total · max $40.00"; "" clears the state.
+ */
+function setOverBudget(card, note) {
+  if (note) {
+    card.setAttribute(OVER_BUDGET_ATTR, "1");
+    card.setAttribute(BUDGET_NOTE_ATTR, note);
+  } else {
+    card.removeAttribute(OVER_BUDGET_ATTR);
+    card.removeAttribute(BUDGET_NOTE_ATTR);
+  }
+}
+
+/** @type {Map<string, number|null>} Miles by "<zip>|<lowercased location>". */
+const pickupMiles = new Map();
+/** @type {Set<string>} Keys of pickupMiles to ask the background worker for. */
+const pendingPickupKeys = new Set();
+let pickupTimer = null;
+
+/**
+ * Why a card's pickup location is outside the site's pickup filter, or "" when it's
+ * inside, or we can't tell (yet: distances are worked out by the background worker
+ * and the page re-checked when they come back).
+ * @param {string} location
+ * @param {CompiledRules} compiled
+ */
+function pickupFilterNote(location, { pickupFilter: filter, pickupLocationMatchers }) {
+  if (!filter || !location) return "";
+  if (matchesAllowedLocation(location, pickupLocationMatchers)) return "";
+  if (!filter.radiusMiles) return `pickup in ${location}`;
+
+  const key = `${filter.zip}|${normalizeText(location)}`;
+  if (!pickupMiles.has(key)) {
+    queuePickupDistance(key);
+    return "";
+  }
+  const miles = pickupMiles.get(key);
+  // Somewhere we can't place: only an allowed-locations list can rule it out.
+  if (miles === null) return filter.locations.length ? `pickup in ${location}` : "";
+  return miles > filter.radiusMiles ? `pickup in ${location} (${miles} mi)` : "";
+}
+
+/**
+ * @param {string} key - See pickupMiles.
+ */
+function queuePickupDistance(key) {
+  pendingPickupKeys.add(key);
+  if (pickupTimer) return;
+  pickupTimer = setTimeout(() => {
+    pickupTimer = null;
+    flushPickupDistances().catch((e) => log("Could not get pickup distances", e));
+  }, 200);
+}
+
+async function flushPickupDistances() {
+  const byZip = new Map();
+  for (const key of pendingPickupKeys) {
+    const zip = key.slice(0, key.indexOf("|"));
+    if (!byZip.has(zip)) byZip.set(zip, []);
+    byZip.get(zip).push(key.slice(zip.length + 1));
+  }
+  pendingPickupKeys.clear();
+
+  let resolved = false;
+  for (const [zip, locations] of byZip) {
+    const distances = await chrome.runtime.sendMessage({
+      type: "phraseFilter:pickupDistances",
+      zip,
+      locations,
+    });
+    if (!distances) continue;
+    for (const location of locations) {
+      pickupMiles.set(`${zip}|${location}`, distances[location] ?? null);
+    }
+    resolved = true;
+  }
+  // Cards waiting on these were kept for now; check them again.
+  if (resolved) applyRulesToPage(currentRules);
+}
+
+/**
+ * @param {SiteRules} rules
+ * @returns {number|null} Percent off retail below which cards are dimmed; null for none.
+ */
+function getMinDiscount(rules) {
+  const min = Number(rules.minDiscount);
+  return min > 0 && min < 100 ? min : null;
+}
+
+/**
+ * Score a card against its retail price: a badge with how far under retail the true
+ * total at the current bid is, and dimming when that's under the site's minimum.
+ * Cards without a retail price or a current bid (and hidden cards) aren't scored.
+ * @param {Element} card
+ * @param {Record<string, string>} fields
+ * @param {SiteRules} rules
+ * @param {boolean} excluded
  */
-function calculateTrueBidTotal(bidAmount) {
-  // Add 17.5% buyer's premium
-  const afterPremium = bidAmount * 1.175;
+function renderDealScore(card, fields, rules, excluded) {
+  const retail = parseDollarAmount(fields.retailPrice);
+  const bid = parseDollarAmount(fields.currentBid);
+  const total = bid > 0 ? calculateTrueBidTotal(bid, currentFeeProfile) : 0;
+  const discount = !excluded && total ? retailDiscountPercent(retail, total) : null;
+
+  let badge = card.querySelector(`.${DEAL_BADGE_CLASS}`);
+  if (discount === null) {
+    badge?.remove();
+    card.removeAttribute(BELOW_MIN_DISCOUNT_ATTR);
+    return;
+  }
+
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = DEAL_BADGE_CLASS;
+    const holder = cardButtonHolder(card);
+    holder.setAttribute(WATCHABLE_ATTR, "1");
+    holder.appendChild(badge);
+  }
+  const tier = DEAL_TIERS.find((t) => discount >= t.min)?.tier || "over";
+  badge.setAttribute("data-tier", tier);
+  badge.textContent = discount >= 0 ? `${discount}% off` : `${-discount}% over retail`;
+  const totalNote = `${formatMoney(total)} true total at the current bid`;
+  badge.title = `Retail ${formatMoney(retail)} · ${totalNote}`;
+
+  const min = getMinDiscount(rules);
+  if (min !== null && discount < min) card.setAttribute(BELOW_MIN_DISCOUNT_ATTR, "1");
+  else card.removeAttribute(BELOW_MIN_DISCOUNT_ATTR);
+}
 
-  // Add freight charge: $0.25 if $5 or less, otherwise $1
-  const freightCharge = bidAmount <= 5 ? 0.25 : 1.00;
-  const subtotal = afterPremium + freightCharge;
+/**
+ * Render a "Total: $X" display for a bid using the active fee profile,
+ * followed by a smaller breakdown (bid + premium + fees + tax).
+ * @param {HTMLElement} totalDisplay
+ * @param {number} bidAmount
+ */
+function renderBidTotal(totalDisplay, bidAmount) {
+  const breakdown = calculateBidBreakdown(bidAmount, currentFeeProfile);
 
-  // Apply 9.5% sales tax
-  const total = subtotal * 1.095;
+  totalDisplay.textContent = `Total: ${formatMoney(breakdown.total)}`;
+  totalDisplay.title = `${currentFeeProfile.name}: ${formatBidBreakdown(breakdown)}`;
 
-  return total;
+  const detail = document.createElement('small');
+  detail.className = 'phrasefilter-bid-breakdown';
+  detail.textContent = ` (${formatBidBreakdown(breakdown)})`;
+  detail.style.cssText = 'font-weight: 400; color: #6b7280;';
+  totalDisplay.appendChild(detail);
 }
 
 /**
- * Enhance bid buttons on BidFTA by adding true total cost in a new element after the button.
+ * Enhance a bid button by adding true total cost in a new element after the button.
  * @param {Element} button
+ * @param {number} bidAmount - The amount the button bids.
  */
-function enhanceBidButton(button) {
+function enhanceBidButton(button, bidAmount) {
   // Skip if already enhanced
   if (button.hasAttribute('data-phrasefilter-enhanced')) return;
 
-  const bidAmount = parseFloat(button.getAttribute('data-bid'));
-  if (isNaN(bidAmount)) return;
-
-  const trueTotal = calculateTrueBidTotal(bidAmount);
-
   // Create a new element to display the total
   const totalDisplay = document.createElement('span');
   totalDisplay.className = 'phrasefilter-bid-total';
-  totalDisplay.textContent = `Total: $${trueTotal.toFixed(2)}`;
+  totalDisplay.setAttribute('data-phrasefilter-bid', String(bidAmount));
   totalDisplay.style.cssText = 'margin-left: 8px; font-weight: 600; color: #059669;';
+  renderBidTotal(totalDisplay, bidAmount);
 
   // Insert the total display after the button
   button.parentNode.insertBefore(totalDisplay, button.nextSibling);
@@ -261,41 +1043,39 @@ function enhanceBidButton(button) {
 }
 
 /**
- * Find and enhance all bid buttons on the page (BidFTA only).
+ * Find and enhance all bid buttons on the page (sites whose adapter can find them).
  */
 function enhanceBidButtons() {
-  // Only run on BidFTA
-  if (!hostMatchesDomain(currentHost, 'bidfta.com')) return;
+  const adapter = getSiteAdapterForHost(currentHost);
+  if (!adapter?.findBidButtons) return;
 
-  const bidButtons = document.querySelectorAll('button[data-bid]');
-  for (const button of bidButtons) {
-    enhanceBidButton(button);
+  for (const { button, amount } of adapter.findBidButtons(document)) {
+    enhanceBidButton(button, amount);
   }
 }
 
 /**
- * Parse dollar amount from input value (handles "$13.50" format).
- * @param {string} value
- * @returns {number}
- */
-function parseDollarAmount(value) {
-  const cleaned = (value || '').replace(/[$,\s]/g, '');
-  const amount = parseFloat(cleaned);
-  return isNaN(amount) ? 0 : amount;
-}
-
-/**
- * Update max bid total display based on input value.
+ * Update max bid total display based on input value, with a warning when the bid
+ * would take the committed total over the budget.
  * @param {HTMLInputElement} input
  * @param {HTMLElement} totalDisplay
+ * @param {Element} button
  */
-function updateMaxBidButtonTotal(input, totalDisplay) {
+function updateMaxBidButtonTotal(input, totalDisplay, button) {
   const bidAmount = parseDollarAmount(input.value);
 
   if (bidAmount > 0) {
-    const trueTotal = calculateTrueBidTotal(bidAmount);
-    totalDisplay.textContent = `Total: $${trueTotal.toFixed(2)}`;
+    renderBidTotal(totalDisplay, bidAmount);
     totalDisplay.style.display = '';
+
+    const { committed, overBy } = maxBidBudgetCheck(button, bidAmount);
+    if (overBy > 0) {
+      const warning = document.createElement('small');
+      warning.className = 'phrasefilter-budget-warning';
+      warning.textContent = ` · ${formatMoney(committed)} committed, ${formatMoney(overBy)} over budget`;
+      warning.style.cssText = 'font-weight: 600; color: #b91c1c;';
+      totalDisplay.appendChild(warning);
+    }
   } else {
     totalDisplay.style.display = 'none';
   }
@@ -303,19 +1083,13 @@ function updateMaxBidButtonTotal(input, totalDisplay) {
 
 /**
  * Enhance max bid button and its associated input field.
- * @param {HTMLButtonElement} button
+ * @param {Element} button
+ * @param {HTMLInputElement} input
  */
-function enhanceMaxBidButton(button) {
+function enhanceMaxBidButton(button, input) {
   // Skip if already enhanced
   if (button.hasAttribute('data-phrasefilter-maxbid-enhanced')) return;
 
-  // Find the associated input field (should be a sibling or nearby in DOM)
-  const container = button.closest('div');
-  if (!container) return;
-
-  const input = container.querySelector('input[type="text"][placeholder*="$"]');
-  if (!input) return;
-
   // Create a new element to display the total
   const totalDisplay = document.createElement('span');
   totalDisplay.className = 'phrasefilter-maxbid-total';
@@ -325,109 +1099,1489 @@ function enhanceMaxBidButton(button) {
   button.parentNode.insertBefore(totalDisplay, button.nextSibling);
 
   // Add input event listener to update total display in real-time
-  const updateHandler = () => updateMaxBidButtonTotal(input, totalDisplay);
+  const updateHandler = () => updateMaxBidButtonTotal(input, totalDisplay, button);
   input.addEventListener('input', updateHandler);
   input.addEventListener('change', updateHandler);
 
+  // Record the bid as it's submitted (capture, so a cancelled warning can stop it
+  // before the site's own handlers run).
+  button.addEventListener('click', (e) => onMaxBidSubmit(e, button, input), true);
+  input.addEventListener(
+    'keydown',
+    (e) => {
+      if (e.key === 'Enter') onMaxBidSubmit(e, button, input);
+    },
+    true,
+  );
+
+  input.setAttribute('data-phrasefilter-maxbid-input', '1');
+
   // Initial update
-  updateMaxBidButtonTotal(input, totalDisplay);
+  updateMaxBidButtonTotal(input, totalDisplay, button);
 
   button.setAttribute('data-phrasefilter-maxbid-enhanced', '1');
 }
 
 /**
- * Find and enhance all max bid buttons on the page (BidFTA only).
+ * The item a max-bid control bids on: its card on results pages, else the item page
+ * itself.
+ * @param {Element} button
+ * @returns {WatchItem}
  */
-function enhanceMaxBidButtons() {
-  // Only run on BidFTA
-  if (!hostMatchesDomain(currentHost, 'bidfta.com')) return;
-
-  // Find "Set Max Bid" buttons by their distinctive styling
-  const maxBidButtons = document.querySelectorAll('button.bg-bidfta-yellow-light');
-  for (const button of maxBidButtons) {
-    // Verify it's actually a max bid button by checking text content
-    if (button.textContent.trim().includes('Set Max Bid')) {
-      enhanceMaxBidButton(button);
-    }
-  }
+function maxBidItem(button) {
+  const selector = getItemSelectorForHost(currentHost);
+  const card = selector ? button.closest(selector) : null;
+  if (card) return cardCache.get(card)?.item || buildWatchItem(card);
+
+  const adapter = getSiteAdapterForHost(currentHost);
+  const heading = document.querySelector("h1")?.textContent.trim();
+  const item = {
+    host: currentHost,
+    title: heading || document.title || "Untitled",
+    url: window.location.href.split("#")[0],
+    // The same id as the item's card, so a bid revised here replaces the card's.
+    lotId: getPageLotId(adapter, new URL(window.location.href), document),
+    currentBid: 0,
+    endTime: getCardEndTime(adapter, document.querySelector("main") || document.body),
+    addedAt: Date.now(),
+  };
+  return { id: watchItemId(currentHost, item), ...item };
 }
 
 /**
- * Apply include/exclude rules to a single card.
- * Exclude wins over include (hide beats highlight).
- * @param {Element} card
- * @param {SiteRules} rules
+ * What a max bid would do to the budget.
+ * @param {Element} button
+ * @param {number} amount
+ * @returns {{ item: WatchItem, total: number, committed: number, overBy: number }}
+ *   committed includes this bid (replacing any earlier one on the same item); overBy
+ *   is 0 within budget or without one.
  */
-function applyRulesToCard(card, rules) {
-  const titleLower = normalizeText(getTitleTextFromCard(card));
-  if (!titleLower) {
-    // If we can't determine a title, leave it alone.
-    setHidden(card, false);
+function maxBidBudgetCheck(button, amount) {
+  const item = maxBidItem(button);
+  const total = calculateTrueBidTotal(amount, currentFeeProfile);
+  const committed = committedBidTotal(committedBids, item.id) + total;
+  const overBy = bidBudget ? Math.max(0, committed - bidBudget) : 0;
+  return { item, total, committed, overBy };
+}
+
+/**
+ * A max bid is being submitted: warn first if it goes over budget (cancelling stops
+ * the submit), then record it.
+ * @param {Event} e
+ * @param {Element} button
+ * @param {HTMLInputElement} input
+ */
+function onMaxBidSubmit(e, button, input) {
+  const amount = parseDollarAmount(input.value);
+  if (!(amount > 0)) return;
+
+  const { item, total, committed, overBy } = maxBidBudgetCheck(button, amount);
+  if (overBy > 0) {
+    const proceed = window.confirm(
+      `This max bid costs up to ${formatMoney(total)} with fees. If all your bids win ` +
+        `you'd owe ${formatMoney(committed)}, ${formatMoney(overBy)} over your ` +
+        `${formatMoney(bidBudget)} budget.\n\nSubmit it anyway?`,
+    );
+    if (!proceed) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      return;
+    }
+  }
+
+  commitMaxBid({
+    id: item.id,
+    host: item.host,
+    title: item.title,
+    url: item.url,
+    amount,
+    total,
+    endTime: item.endTime,
+    at: Date.now(),
+  }).catch((err) => log("Could not record max bid", err));
+}
+
+/** @type {Record<string, CommittedBid>} */
+let committedBids = {};
+/** @type {number|null} */
+let bidBudget = null;
+
+/**
+ * The floating "committed if all win" pill, shown while any max bid counts.
+ */
+function renderBudgetWidget() {
+  const bids = Object.values(committedBids);
+  let widget = document.getElementById(BUDGET_WIDGET_ID);
+  if (!bids.length) {
+    if (widget) widget.hidden = true;
+    return;
+  }
+  if (!widget) {
+    widget = document.createElement("div");
+    widget.id = BUDGET_WIDGET_ID;
+    widget.setAttribute("role", "status");
+    document.body.appendChild(widget);
+  }
+
+  const committed = committedBidTotal(committedBids);
+  const over = bidBudget !== null && committed > bidBudget;
+  widget.hidden = false;
+  widget.textContent = bidBudget
+    ? `Committed if all win: ${formatMoney(committed)} of ${formatMoney(bidBudget)}`
+    : `Committed if all win: ${formatMoney(committed)}`;
+  widget.title = bids
+    .map((b) => `${formatMoney(b.total)} · ${b.title} (max ${formatMoney(b.amount)})`)
+    .join("\n");
+  if (over) widget.setAttribute("data-over-budget", "1");
+  else widget.removeAttribute("data-over-budget");
+}
+
+/**
+ * Find and enhance all max bid buttons on the page (sites whose adapter can find them).
+ */
+function enhanceMaxBidButtons() {
+  const adapter = getSiteAdapterForHost(currentHost);
+  if (!adapter?.findMaxBidControls) return;
+
+  for (const { button, input } of adapter.findMaxBidControls(document)) {
+    enhanceMaxBidButton(button, input);
+  }
+}
+
+/**
+ * What kind of page this is, per the site adapter. Re-checked on every scan since
+ * the sites are single-page apps.
+ * @returns {PageType}
+ */
+function detectCurrentPageType() {
+  const adapter = getSiteAdapterForHost(currentHost);
+  if (!adapter) return "other";
+  try {
+    return adapter.detectPageType(new URL(window.location.href), document);
+  } catch {
+    return "other";
+  }
+}
+
+/**
+ * Re-render every bid total already on the page (e.g. after the active fee profile changes).
+ */
+function refreshBidTotals() {
+  for (const el of document.querySelectorAll('.phrasefilter-bid-total[data-phrasefilter-bid]')) {
+    renderBidTotal(el, parseFloat(el.getAttribute('data-phrasefilter-bid')));
+  }
+  for (const input of document.querySelectorAll('input[data-phrasefilter-maxbid-input]')) {
+    input.dispatchEvent(new Event('change'));
+  }
+}
+
+/**
+ * Snapshot of a card for the watchlist.
+ * @param {Element} card
+ * @param {Record<string, string>} [fields] - Already extracted, if the caller has them.
+ * @returns {WatchItem}
+ */
+function buildWatchItem(card, fields = extractCardFields(card)) {
+  const adapter = getSiteAdapterForHost(currentHost);
+  const item = {
+    host: currentHost,
+    title: fields.title || "Untitled",
+    url: getCardItemUrl(adapter, card),
+    lotId: fields.lotId || "",
+    currentBid: parseDollarAmount(fields.currentBid),
+    endTime: getCardEndTime(adapter, card),
+    addedAt: Date.now(),
+  };
+  return { id: watchItemId(currentHost, item), ...item };
+}
+
+/**
+ * @param {HTMLButtonElement} button
+ */
+function renderWatchButton(button) {
+  const watched = watchedIds.has(button.getAttribute(WATCH_ID_ATTR));
+  const text = watched ? "★" : "☆";
+  // Only touch the DOM when something changed; the observer watches the whole document.
+  if (button.textContent !== text) button.textContent = text;
+  if (button.getAttribute("aria-pressed") !== String(watched)) {
+    button.setAttribute("aria-pressed", String(watched));
+    button.title = watched ? "Remove from watchlist" : "Add to watchlist";
+  }
+}
+
+/**
+ * Toggle the card's watchlist entry. Stops the click so the card doesn't navigate.
+ * @param {MouseEvent} e
+ */
+async function onWatchButtonClick(e) {
+  e.preventDefault();
+  e.stopPropagation();
+
+  const button = /** @type {HTMLButtonElement} */ (e.currentTarget);
+  const card = button.closest(getItemSelectorForHost(currentHost));
+  if (!card) return;
+
+  const id = button.getAttribute(WATCH_ID_ATTR);
+  if (watchedIds.has(id)) {
+    await removeWatchItem(id);
+    return;
+  }
+
+  const item = buildWatchItem(card);
+  button.setAttribute(WATCH_ID_ATTR, item.id);
+  await upsertWatchItem(item);
+}
+
+/**
+ * Where buttons we add to a card go. Table-row cards (Public Surplus) need them
+ * inside a cell.
+ * @param {Element} card
+ */
+function cardButtonHolder(card) {
+  return card.tagName === "TR" ? card.lastElementChild || card : card;
+}
+
+/**
+ * Add the star button to a card (once) and sync its state with the watchlist.
+ * @param {Element} card
+ * @param {WatchItem} item - The card's snapshot (for the button's item id).
+ */
+function ensureWatchButton(card, item) {
+  let button = card.querySelector(`.${WATCH_BUTTON_CLASS}`);
+  if (!button) {
+    const holder = cardButtonHolder(card);
+
+    button = document.createElement("button");
+    button.type = "button";
+    button.className = WATCH_BUTTON_CLASS;
+    button.setAttribute(WATCH_ID_ATTR, item.id);
+    button.addEventListener("click", onWatchButtonClick);
+
+    holder.setAttribute(WATCHABLE_ATTR, "1");
+    holder.appendChild(button);
+  }
+  renderWatchButton(/** @type {HTMLButtonElement} */ (button));
+}
+
+function refreshWatchButtons() {
+  for (const button of document.querySelectorAll(`.${WATCH_BUTTON_CLASS}`)) {
+    renderWatchButton(/** @type {HTMLButtonElement} */ (button));
+  }
+}
+
+/** @type {WeakMap<Element, PhraseMatch[]>} What each card's state was caused by. */
+const cardMatches = new WeakMap();
+
+/**
+ * "“saw” in Title · General (this site)"
+ * @param {PhraseMatch} match
+ */
+function describeMatch(match) {
+  const field = CARD_FIELD_LABELS[match.field] || match.field;
+  const tier = match.source.tier === "global" ? "all sites" : "this site";
+  return `“${match.entry.text}” in ${field} · ${match.source.groupName} (${tier})`;
+}
+
+/**
+ * Show which phrases highlighted or hid a card: a "?" chip whose tooltip lists them,
+ * opening a panel with actions on click. No matches removes the chip.
+ * @param {Element} card
+ * @param {PhraseMatch[]} matches
+ */
+function renderMatchChip(card, matches) {
+  cardMatches.set(card, matches);
+  let chip = card.querySelector(`.${WHY_CHIP_CLASS}`);
+  const panel = card.querySelector(`.${WHY_PANEL_CLASS}`);
+
+  if (!matches.length) {
+    chip?.remove();
+    panel?.remove();
+    return;
+  }
+
+  if (!chip) {
+    const holder = cardButtonHolder(card);
+    chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = WHY_CHIP_CLASS;
+    chip.textContent = "?";
+    chip.setAttribute("aria-label", "Why is this item marked?");
+    chip.addEventListener("click", onMatchChipClick);
+    holder.setAttribute(WATCHABLE_ATTR, "1");
+    holder.appendChild(chip);
+  }
+
+  const verb =
+    matches[0].source.listKey === "excludePhrases" ? "Hidden by" : "Highlighted by";
+  const title = [`${verb}:`, ...matches.map(describeMatch)].join("\n");
+  if (chip.title !== title) chip.title = title;
+  if (panel && !panel.hidden) renderMatchPanel(card, panel);
+}
+
+/**
+ * An in-card panel (starts hidden). Clicks and keys inside it belong to it, not to the
+ * card or page underneath.
+ * @param {string} className
+ * @returns {HTMLDivElement}
+ */
+function createCardPanel(className) {
+  const panel = document.createElement("div");
+  panel.className = `${CARD_PANEL_CLASS} ${className}`;
+  panel.hidden = true;
+  panel.addEventListener("click", (e) => {
+    // Let form controls do their thing; just keep the click from reaching the card.
+    if (!(e.target instanceof HTMLSelectElement || e.target instanceof HTMLInputElement)) {
+      e.preventDefault();
+    }
+    e.stopPropagation();
+  });
+  panel.addEventListener("keydown", (e) => e.stopPropagation());
+  return panel;
+}
+
+/**
+ * Toggle the card's explanation panel. Stops the click so the card doesn't navigate.
+ * @param {MouseEvent} e
+ */
+function onMatchChipClick(e) {
+  e.preventDefault();
+  e.stopPropagation();
+
+  const chip = /** @type {HTMLElement} */ (e.currentTarget);
+  const card = chip.closest(getItemSelectorForHost(currentHost));
+  if (!card) return;
+
+  let panel = card.querySelector(`.${WHY_PANEL_CLASS}`);
+  if (!panel) {
+    panel = createCardPanel(WHY_PANEL_CLASS);
+    chip.after(panel);
+  }
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) renderMatchPanel(card, panel);
+}
+
+/**
+ * @param {Element} card
+ * @param {HTMLElement} panel
+ */
+function renderMatchPanel(card, panel) {
+  panel.textContent = "";
+  const matches = cardMatches.get(card) || [];
+
+  const heading = document.createElement("strong");
+  heading.textContent =
+    matches[0]?.source.listKey === "excludePhrases" ? "Hidden by" : "Highlighted by";
+  panel.appendChild(heading);
+
+  const status = document.createElement("div");
+  status.className = "phrasefilter-why-status";
+
+  for (const match of matches) {
+    const row = document.createElement("div");
+    row.className = "phrasefilter-why-row";
+
+    const text = document.createElement("span");
+    text.textContent = describeMatch(match);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent =
+      match.source.tier === "global" ? "Remove from all sites" : "Remove phrase";
+    remove.addEventListener("click", () => removeMatchedPhrase(match, status));
+
+    const ignore = document.createElement("button");
+    ignore.type = "button";
+    ignore.textContent = "Ignore for this item";
+    ignore.addEventListener("click", () => ignoreMatchForCard(card, match, status));
+
+    row.append(text, remove, ignore);
+    panel.appendChild(row);
+  }
+  panel.appendChild(status);
+}
+
+/**
+ * Delete a matched phrase from the group it came from. The storage change re-applies
+ * rules to the page.
+ * @param {PhraseMatch} match
+ * @param {HTMLElement} status - Where to report a failed save.
+ */
+async function removeMatchedPhrase(match, status) {
+  const host =
+    match.source.tier === "global"
+      ? GLOBAL_RULES_HOST
+      : rulesDomainForHost(currentHost);
+  const key = phraseEntryKey(match.entry);
+  const { listKey, groupId } = match.source;
+
+  const rules = toGroupedSiteRules(await loadHostRules(host));
+  const group = rules.groups.find((g) => g.id === groupId);
+  if (!group) return;
+  group[listKey] = group[listKey].filter((raw) => {
+    const entry = normalizePhraseEntry(raw);
+    return !entry || phraseEntryKey(entry) !== key;
+  });
+
+  try {
+    await saveHostRules(host, rules);
+    log("Removed phrase", { host, group: group.name, listKey, text: match.entry.text });
+  } catch (err) {
+    status.textContent = "Couldn't save; try again from the popup.";
+    log("Could not remove phrase", err);
+  }
+}
+
+/**
+ * Stop one phrase from matching this card's item (see matchIgnores.js).
+ * @param {Element} card
+ * @param {PhraseMatch} match
+ * @param {HTMLElement} status
+ */
+async function ignoreMatchForCard(card, match, status) {
+  const item = cardCache.get(card)?.item || buildWatchItem(card);
+  try {
+    await ignorePhraseForItem(item.id, match.key);
+  } catch (err) {
+    status.textContent = "Couldn't save.";
+    log("Could not ignore phrase", err);
+  }
+}
+
+/**
+ * Add the Interested / Not interested buttons to a card (once).
+ * @param {Element} card
+ */
+function ensureQuickActions(card) {
+  if (card.querySelector(`.${QUICK_ACTIONS_CLASS}`)) return;
+
+  const actions = document.createElement("div");
+  actions.className = QUICK_ACTIONS_CLASS;
+  for (const [kind, label] of [
+    ["include", "Interested"],
+    ["exclude", "Not interested"],
+  ]) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.title = `Add a phrase from this item to ${label}`;
+    button.addEventListener("click", (e) => onQuickActionClick(e, kind));
+    actions.appendChild(button);
+  }
+
+  const holder = cardButtonHolder(card);
+  holder.setAttribute(WATCHABLE_ATTR, "1");
+  holder.appendChild(actions);
+}
+
+/**
+ * Open (or close) the card's phrase chooser for one list. Stops the click so the card
+ * doesn't navigate.
+ * @param {MouseEvent} e
+ * @param {"include"|"exclude"} kind
+ */
+function onQuickActionClick(e, kind) {
+  e.preventDefault();
+  e.stopPropagation();
+
+  const button = /** @type {HTMLElement} */ (e.currentTarget);
+  const card = button.closest(getItemSelectorForHost(currentHost));
+  if (!card) return;
+
+  let panel = card.querySelector(`.${QUICK_PANEL_CLASS}`);
+  if (!panel) {
+    panel = createCardPanel(QUICK_PANEL_CLASS);
+    button.parentElement.after(panel);
+  }
+  const isSameKind = panel.dataset.kind === kind;
+  panel.hidden = !panel.hidden && isSameKind;
+  if (!panel.hidden) renderQuickPanel(card, panel, kind);
+}
+
+/**
+ * The chooser: suggested phrases from the title (click one to use it), an editable
+ * phrase, the group to add it to, and Add.
+ * @param {Element} card
+ * @param {HTMLElement} panel
+ * @param {"include"|"exclude"} kind
+ */
+function renderQuickPanel(card, panel, kind) {
+  panel.textContent = "";
+  panel.dataset.kind = kind;
+  const listName = kind === "include" ? "Interested" : "Not interested";
+
+  const heading = document.createElement("strong");
+  heading.textContent = `Add to ${listName}`;
+  panel.appendChild(heading);
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.placeholder = "Phrase";
+  input.setAttribute("aria-label", "Phrase");
+
+  const suggestions = document.createElement("div");
+  suggestions.className = "phrasefilter-why-row";
+  for (const phrase of suggestPhrasesFromTitle(getTitleTextFromCard(card))) {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "phrasefilter-suggestion";
+    chip.textContent = phrase;
+    chip.addEventListener("click", () => {
+      input.value = phrase;
+      input.focus();
+    });
+    suggestions.appendChild(chip);
+  }
+  panel.appendChild(suggestions);
+
+  const select = document.createElement("select");
+  select.setAttribute("aria-label", "Phrase group");
+  for (const { value, label } of phraseGroupTargets(getPhraseGroups(currentRules))) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+
+  const add = document.createElement("button");
+  add.type = "button";
+  add.textContent = "Add";
+
+  const status = document.createElement("div");
+  status.className = "phrasefilter-why-status";
+
+  const submit = async () => {
+    const text = input.value.trim();
+    if (!text) {
+      status.textContent = "Pick or type a phrase first.";
+      return;
+    }
+    try {
+      const label = await addPhraseFromPage({ kind, text, target: select.value });
+      panel.hidden = true;
+      showPageToast(`Added “${text}” to ${listName} (${label})`);
+    } catch (err) {
+      status.textContent = "Couldn't save; try again from the popup.";
+      log("Could not add phrase", err);
+    }
+  };
+  add.addEventListener("click", submit);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") submit();
+  });
+
+  const row = document.createElement("div");
+  row.className = "phrasefilter-why-row";
+  row.append(input, select, add);
+  panel.append(row, status);
+}
+
+/**
+ * Add a plain (substring, title) phrase to one of the rules' groups. The storage change
+ * re-applies rules to the page.
+ * @param {{ kind: "include"|"exclude", text: string, target?: string }} args
+ *   target is a phraseGroupTargets value; defaults to the site's first enabled group.
+ * @returns {Promise<string>} The group's label.
+ * @throws {StorageWriteError}
+ */
+async function addPhraseFromPage({ kind, text, target = "site:" }) {
+  const entry = normalizePhraseEntry(text.replace(/\s+/g, " ").trim());
+  const { tier, groupId } = parseGroupTarget(target);
+  const host = tier === "global" ? GLOBAL_RULES_HOST : rulesDomainForHost(currentHost);
+  const listKey = kind === "include" ? "includePhrases" : "excludePhrases";
+
+  const rules = toGroupedSiteRules(await loadHostRules(host));
+  const group = addPhraseToGroup(rules, groupId, listKey, entry);
+  await saveHostRules(host, rules);
+  log("Added phrase", { host, group: group.name, listKey, text: entry.text });
+  return phraseGroupLabel({ ...group, tier });
+}
+
+let toastTimer = null;
+
+/**
+ * A short message in the corner of the page.
+ * @param {string} text
+ */
+function showPageToast(text) {
+  let toast = document.getElementById(TOAST_ID);
+  if (!toast) {
+    toast = document.createElement("div");
+    toast.id = TOAST_ID;
+    toast.setAttribute("role", "status");
+    document.body.appendChild(toast);
+  }
+  toast.textContent = text;
+  toast.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => {
+    toast.hidden = true;
+  }, 3000);
+}
+
+// Longer selections are almost certainly not meant as a phrase.
+const MAX_SELECTION_PHRASE_LENGTH = 80;
+
+/**
+ * Add text selected on the page (context menu, via background.js).
+ * @param {"include"|"exclude"} kind
+ * @param {string} text
+ */
+async function addSelectedTextPhrase(kind, text) {
+  const phrase = (text || "").replace(/\s+/g, " ").trim();
+  const listName = kind === "include" ? "Interested" : "Not interested";
+  if (!phrase) return;
+  if (phrase.length > MAX_SELECTION_PHRASE_LENGTH) {
+    showPageToast(`Selection is too long for a phrase (max ${MAX_SELECTION_PHRASE_LENGTH} characters)`);
+    return;
+  }
+  try {
+    const label = await addPhraseFromPage({ kind, text: phrase });
+    showPageToast(`Added “${phrase}” to ${listName} (${label})`);
+  } catch (err) {
+    showPageToast("Couldn't save the phrase; try again from the popup.");
+    log("Could not add selected phrase", err);
+  }
+}
+
+/**
+ * Item ids seen on this host before this page view, with when. Fixed for the page's
+ * lifetime so NEW badges don't disappear as cards get recorded.
+ * @type {Record<string, number>}
+ */
+let seenAtLoad = {};
+// On a first visit everything would be new; only badge once there's a history.
+let hasSeenHistory = false;
+/** @type {Set<string>} Not yet written to storage. */
+const pendingSeenIds = new Set();
+let seenFlushTimer = null;
+
+/**
+ * Badge a card that's new since the last visit, mark one that isn't, and remember it.
+ * @param {Element} card
+ * @param {WatchItem} item
+ */
+function renderSeenState(card, item) {
+  const wasSeen = item.id in seenAtLoad;
+  if (wasSeen) card.setAttribute(SEEN_ATTR, "1");
+  else card.removeAttribute(SEEN_ATTR);
+
+  let badge = card.querySelector(`.${NEW_BADGE_CLASS}`);
+  const isNew = hasSeenHistory && !wasSeen;
+  if (isNew && !badge) {
+    badge = document.createElement("span");
+    badge.className = NEW_BADGE_CLASS;
+    badge.textContent = "NEW";
+    badge.title = "Not seen on an earlier visit";
+    const holder = cardButtonHolder(card);
+    holder.setAttribute(WATCHABLE_ATTR, "1");
+    holder.appendChild(badge);
+  } else if (!isNew && badge) {
+    badge.remove();
+  }
+
+  if (!wasSeen) queueSeenItem(item.id);
+}
+
+/**
+ * Record an item as seen, batched: a page of results is one write.
+ * @param {string} itemId
+ */
+function queueSeenItem(itemId) {
+  pendingSeenIds.add(itemId);
+  if (seenFlushTimer) return;
+  seenFlushTimer = setTimeout(() => {
+    seenFlushTimer = null;
+    const ids = [...pendingSeenIds];
+    pendingSeenIds.clear();
+    recordSeenItems(currentHost, ids).catch((e) => log("Could not record seen items", e));
+  }, 1000);
+}
+
+/**
+ * @param {SiteRules} rules
+ */
+function applySeenDisplay(rules) {
+  const root = document.documentElement;
+  if (rules.dimSeen) root.setAttribute(DIM_SEEN_ATTR, "1");
+  else root.removeAttribute(DIM_SEEN_ATTR);
+}
+
+/** @type {Map<string, number>} Last bid sent per item; unchanged bids aren't resent. */
+const sentBids = new Map();
+/** @type {BidObservation[]} */
+const pendingBidObservations = [];
+/** @type {Set<Element>} Cards whose history to (re)load. */
+const pendingHistoryCards = new Set();
+let priceHistoryTimer = null;
+
+/**
+ * Send a processed card's bid to the price history (see priceHistory.js) and refresh
+ * what the card shows of it, batched like seen items.
+ * @param {Element} card
+ * @param {WatchItem} item
+ */
+function queuePriceHistory(card, item) {
+  if (item.currentBid > 0 && sentBids.get(item.id) !== item.currentBid) {
+    sentBids.set(item.id, item.currentBid);
+    pendingBidObservations.push({
+      itemId: item.id,
+      host: item.host,
+      lotId: item.lotId,
+      title: normalizeText(item.title),
+      bid: item.currentBid,
+      at: Date.now(),
+      endTime: item.endTime,
+    });
+  }
+
+  pendingHistoryCards.add(card);
+  if (priceHistoryTimer) return;
+  priceHistoryTimer = setTimeout(() => {
+    priceHistoryTimer = null;
+    flushPriceHistory().catch((e) => log("Could not update price history", e));
+  }, 1000);
+}
+
+/**
+ * Include phrases that highlighted a card.
+ * @param {Element} card
+ * @returns {PhraseEntry[]}
+ */
+function cardIncludeMatches(card) {
+  if (!card.hasAttribute(HIGHLIGHT_ATTR)) return [];
+  return (cardMatches.get(card) || [])
+    .filter((m) => m.source.listKey === "includePhrases")
+    .map((m) => m.entry);
+}
+
+async function flushPriceHistory() {
+  const observations = pendingBidObservations.splice(0);
+  const cards = [...pendingHistoryCards].filter((card) => card.isConnected);
+  pendingHistoryCards.clear();
+
+  // The background worker owns the database, so it has to have these first.
+  if (observations.length) {
+    await chrome.runtime.sendMessage({ type: "phraseFilter:recordBids", observations });
+  }
+  if (!cards.length) return;
+
+  const history = await chrome.runtime.sendMessage({
+    type: "phraseFilter:priceHistory",
+    host: currentHost,
+    itemIds: cards.map((card) => cardCache.get(card)?.item.id).filter(Boolean),
+    phrases: uniqPhrases(cards.flatMap(cardIncludeMatches)),
+  });
+  if (!history) return;
+  for (const card of cards) renderPriceHistory(card, history);
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * A small line of the bid over time.
+ * @param {Array<[number, number]>} points - [at, bid] pairs, oldest first.
+ * @returns {SVGSVGElement}
+ */
+function createSparkline(points) {
+  const width = 64;
+  const height = 18;
+  const first = points[0][0];
+  const span = points[points.length - 1][0] - first;
+  const bids = points.map(([, bid]) => bid);
+  const low = Math.min(...bids);
+  const range = Math.max(...bids) - low;
+
+  const coords = points.map(([at, bid], i) => {
+    // All at once (one scan saw several bids) would stack up at x = 0.
+    const x = span ? ((at - first) / span) * width : (i / (points.length - 1)) * width;
+    const y = range ? height - 1 - ((bid - low) / range) * (height - 2) : height / 2;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("width", String(width));
+  svg.setAttribute("height", String(height));
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  const line = document.createElementNS(SVG_NS, "polyline");
+  line.setAttribute("points", coords.join(" "));
+  svg.appendChild(line);
+  return svg;
+}
+
+/**
+ * Show a card's bid sparkline (two or more recorded bids) and, if it's highlighted,
+ * what similar items sold for (the first matched phrase with enough history).
+ * @param {Element} card
+ * @param {CardPriceHistory} history
+ */
+function renderPriceHistory(card, history) {
+  const item = cardCache.get(card)?.item;
+  if (!item) return;
+  const points = history.series[item.id] || [];
+  const phrase = cardIncludeMatches(card).find((e) => history.medians[phraseEntryKey(e)]);
+
+  let box = card.querySelector(`.${PRICE_HISTORY_CLASS}`);
+  if (points.length < 2 && !phrase) {
+    box?.remove();
+    return;
+  }
+  if (!box) {
+    box = document.createElement("span");
+    box.className = PRICE_HISTORY_CLASS;
+    const holder = cardButtonHolder(card);
+    holder.setAttribute(WATCHABLE_ATTR, "1");
+    holder.appendChild(box);
+  }
+  box.replaceChildren();
+
+  if (points.length >= 2) {
+    const sparkline = document.createElement("span");
+    sparkline.className = "phrasefilter-sparkline";
+    const first = points[0][1];
+    const last = points[points.length - 1][1];
+    const change = `${formatMoney(first)} → ${formatMoney(last)}`;
+    sparkline.title = `Bid history: ${change} (${points.length} bids seen)`;
+    sparkline.appendChild(createSparkline(points));
+    box.appendChild(sparkline);
+  }
+  if (phrase) {
+    const { median, count } = history.medians[phraseEntryKey(phrase)];
+    const similar = document.createElement("span");
+    similar.className = "phrasefilter-similar";
+    similar.textContent = `Similar sold ~${formatMoney(median)}`;
+    const matching = `matching “${phrase.text}”`;
+    similar.title = `Median final bid of ${count} ended listings ${matching}`;
+    box.appendChild(similar);
+  }
+}
+
+let lastInvoiceSignature = "";
+let invoicePanelDismissed = false;
+let invoiceTimer = null;
+
+/**
+ * On account / invoice pages, show what the won items should cost per pickup (see
+ * invoiceEstimate.js). Only re-renders when the items or the fee profile changed.
+ */
+function updateInvoiceEstimate() {
+  const adapter = getSiteAdapterForHost(currentHost);
+  const pageType = detectCurrentPageType();
+  const isInvoicePage = pageType === "invoice" || pageType === "account";
+  const items = isInvoicePage && adapter?.findWonItems ? adapter.findWonItems(document) : [];
+
+  const signature = JSON.stringify([items, currentFeeProfile]);
+  if (signature === lastInvoiceSignature) return;
+  lastInvoiceSignature = signature;
+  renderInvoicePanel(items);
+  if (items.length) log("Estimated invoices", { pageType, wonItems: items.length });
+}
+
+/**
+ * The site renders account pages client-side; re-check shortly after things settle.
+ */
+function scheduleInvoiceEstimate() {
+  if (invoiceTimer || !getSiteAdapterForHost(currentHost)?.findWonItems) return;
+  invoiceTimer = setTimeout(() => {
+    invoiceTimer = null;
+    updateInvoiceEstimate();
+  }, 500);
+}
+
+/**
+ * @param {WonItem[]} items
+ */
+function renderInvoicePanel(items) {
+  let panel = document.getElementById(INVOICE_PANEL_ID);
+  if (!items.length || invoicePanelDismissed) {
+    if (panel) panel.hidden = true;
+    return;
+  }
+  if (!panel) {
+    panel = document.createElement("div");
+    panel.id = INVOICE_PANEL_ID;
+    document.body.appendChild(panel);
+  }
+  panel.hidden = false;
+  panel.textContent = "";
+
+  const estimates = estimateInvoices(items, currentFeeProfile);
+
+  const head = document.createElement("div");
+  head.className = "phrasefilter-invoice-head";
+  const title = document.createElement("strong");
+  title.textContent = "Estimated invoices";
+  const copy = document.createElement("button");
+  copy.type = "button";
+  copy.textContent = "Copy CSV";
+  const close = document.createElement("button");
+  close.type = "button";
+  close.textContent = "×";
+  close.title = "Hide until the page is reloaded";
+  close.setAttribute("aria-label", "Hide estimated invoices");
+  close.addEventListener("click", () => {
+    invoicePanelDismissed = true;
+    panel.hidden = true;
+  });
+  head.append(title, copy, close);
+
+  const meta = document.createElement("div");
+  meta.className = "phrasefilter-invoice-meta";
+  meta.textContent = `${items.length} won item${items.length === 1 ? "" : "s"} · ${currentFeeProfile.name} fees`;
+  copy.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(invoiceEstimatesCsv(estimates));
+      meta.textContent = "Copied as CSV";
+    } catch (err) {
+      meta.textContent = "Couldn't copy; check the site's clipboard permission.";
+      log("Could not copy invoice CSV", err);
+    }
+  });
+  panel.append(head, meta);
+
+  for (const { location, pickupDate, lines, totals } of estimates) {
+    const section = document.createElement("section");
+
+    const where = document.createElement("strong");
+    where.textContent = [location, pickupDate].filter(Boolean).join(" · ");
+
+    const summary = document.createElement("div");
+    summary.textContent = `${lines.length} item${lines.length === 1 ? "" : "s"}: ${formatBidBreakdown(totals)}`;
+
+    const total = document.createElement("div");
+    total.textContent = `Estimated total ${formatMoney(totals.total)}`;
+    total.style.fontWeight = "600";
+
+    const details = document.createElement("details");
+    const label = document.createElement("summary");
+    label.textContent = "Items";
+    const list = document.createElement("ol");
+    for (const { item, breakdown } of lines) {
+      const li = document.createElement("li");
+      li.textContent = `${item.title || "Untitled"}${item.lotId ? ` (lot ${item.lotId})` : ""}: ${formatMoney(breakdown.bid)} → ${formatMoney(breakdown.total)}`;
+      list.appendChild(li);
+    }
+    details.append(label, list);
+
+    section.append(where, summary, total, details);
+    panel.appendChild(section);
+  }
+}
+
+let lastHighlightReport = "";
+
+/**
+ * Tell the background worker which cards on this page are highlighted (and which it
+ * should forget), so it can schedule end-of-auction reminders for them.
+ * Only sends when the set of items or their end times (to the minute) changed.
+ * @param {Element[]} cards
+ */
+function reportHighlightedItems(cards) {
+  const items = [];
+  const seenIds = [];
+  for (const card of cards) {
+    const item = cardCache.get(card)?.item || buildWatchItem(card);
+    if (card.hasAttribute(HIGHLIGHT_ATTR) && item.endTime) items.push(item);
+    else seenIds.push(item.id);
+  }
+
+  const signature = JSON.stringify([
+    items.map((i) => [i.id, Math.round(i.endTime / 60000)]),
+    seenIds,
+  ]);
+  if (signature === lastHighlightReport) return;
+  lastHighlightReport = signature;
+
+  chrome.runtime
+    .sendMessage({
+      type: "phraseFilter:highlightedItems",
+      host: currentHost,
+      items,
+      seenIds,
+    })
+    .catch((e) => log("Could not report highlighted items", e));
+}
+
+/**
+ * What rules are doing on this page, for the popup and the toolbar badge.
+ * @typedef {Object} PageStats
+ * @property {string} host
+ * @property {number} seen - Cards on the page.
+ * @property {number} highlighted
+ * @property {number} excluded - Hidden (or collapsed/overlaid) cards.
+ * @property {Record<string, number>} phraseHits - Cards each phrase decided, by
+ *   phraseHitKey: exclude phrases on hidden cards, include phrases on the rest.
+ */
+
+/** @type {PageStats|null} */
+let lastPageStats = null;
+let lastPageStatsReport = "";
+
+/**
+ * @param {Element[]} cards - Every card on the page.
+ * @returns {PageStats}
+ */
+function collectPageStats(cards) {
+  const stats = {
+    host: currentHost,
+    seen: cards.length,
+    highlighted: 0,
+    excluded: 0,
+    phraseHits: {},
+  };
+  for (const card of cards) {
+    if (card.hasAttribute(HIGHLIGHT_ATTR)) stats.highlighted++;
+    if (card.hasAttribute(HIDDEN_ATTR)) stats.excluded++;
+    for (const { entry, source } of cardMatches.get(card) || []) {
+      const group = { tier: source.tier, id: source.groupId };
+      const key = phraseHitKey(group, source.listKey, entry);
+      stats.phraseHits[key] = (stats.phraseHits[key] || 0) + 1;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Keep lastPageStats current and, when they changed, tell the extension (the
+ * background worker sets the badge; an open popup updates its counts).
+ * @param {Element[]} cards - Every card on the page.
+ */
+function reportPageStats(cards) {
+  lastPageStats = collectPageStats(cards);
+  const signature = JSON.stringify(lastPageStats);
+  if (signature === lastPageStatsReport) return;
+  lastPageStatsReport = signature;
+
+  chrome.runtime
+    .sendMessage({ type: "phraseFilter:pageStats", ...lastPageStats })
+    .catch((e) => log("Could not report page stats", e));
+}
+
+/**
+ * Apply include/exclude rules to a single card.
+ * Exclude wins over include (hide beats highlight).
+ * @param {Element} card
+ * @param {CompiledRules} compiled
+ * @param {Record<string, string>} [fields] - Already extracted, if the caller has them.
+ * @param {Set<string>} [ignoredKeys] - Phrases ignored for this item (see matchIgnores.js).
+ */
+function applyRulesToCard(
+  card,
+  compiled,
+  fields = extractCardFields(card),
+  ignoredKeys = new Set(),
+) {
+  const fieldsLower = {};
+  for (const [field, value] of Object.entries(fields)) {
+    fieldsLower[field] = normalizeText(value);
+  }
+
+  if (!Object.values(fieldsLower).some(Boolean)) {
+    // If we can't read anything from the card, leave it alone.
+    setHidden(card, false);
     setHighlighted(card, false);
+    setOverBudget(card, "");
+    renderMatchChip(card, []);
+    renderDealScore(card, fields, compiled.rules, false);
     return;
   }
 
-  const includePhrasesLower = normalizePhrases(rules.includePhrases);
-  const excludePhrasesLower = normalizePhrases(rules.excludePhrases);
+  const excludedBy = findPhraseMatches(
+    fieldsLower,
+    compiled.excludeMatchers,
+    ignoredKeys,
+  );
+  if (excludedBy.length) {
+    setHighlighted(card, false);
+    setOverBudget(card, "");
+    setHidden(
+      card,
+      true,
+      `${fields.title || "Untitled"} — matched “${excludedBy[0].entry.text}”`,
+    );
+    renderMatchChip(card, excludedBy);
+    renderDealScore(card, fields, compiled.rules, true);
+    return;
+  }
 
-  const isExcluded = hasAnyPhrase(titleLower, excludePhrasesLower);
-  if (isExcluded) {
+  const pickupNote = pickupFilterNote(fields.location || "", compiled);
+  if (pickupNote) {
     setHighlighted(card, false);
-    setHidden(card, true);
+    setOverBudget(card, "");
+    setHidden(card, true, `${fields.title || "Untitled"} — ${pickupNote}`);
+    renderMatchChip(card, []);
+    renderDealScore(card, fields, compiled.rules, true);
     return;
   }
 
-  const isIncluded = hasAnyPhrase(titleLower, includePhrasesLower);
+  const includedBy = findPhraseMatches(
+    fieldsLower,
+    compiled.includeMatchers,
+    ignoredKeys,
+  );
   setHidden(card, false);
-  setHighlighted(card, isIncluded);
+  renderMatchChip(card, includedBy);
+  renderDealScore(card, fields, compiled.rules, false);
+
+  // Three states: no match, a deal (under the ceiling or no ceiling), or over budget.
+  // Without a readable current bid we can't tell, so a match counts as a deal.
+  const ceiling = priceCeilingForMatches(includedBy.map((m) => m.entry));
+  const total =
+    ceiling !== null && fields.currentBid
+      ? calculateTrueBidTotal(parseDollarAmount(fields.currentBid), currentFeeProfile)
+      : null;
+  const overBudget = total !== null && total > ceiling;
+
+  setHighlighted(card, includedBy.length > 0 && !overBudget);
+  setOverBudget(
+    card,
+    overBudget ? `${formatMoney(total)} total · max ${formatMoney(ceiling)}` : "",
+  );
+}
+
+/**
+ * What a card looked like when rules were last applied to it.
+ * @typedef {Object} CardState
+ * @property {number} version - scanVersion at the time.
+ * @property {string} fieldsKey - The card's extracted fields, serialized.
+ * @property {WatchItem} item
+ */
+
+/** @type {WeakMap<Element, CardState>} */
+const cardCache = new WeakMap();
+// Bumped whenever every card's result may be stale (rules, selectors or fees changed).
+let scanVersion = 0;
+/** @type {CompiledRules|null} */
+let compiledRules = null;
+
+/** Scan timing, for the debug log. */
+const scanStats = {
+  scans: 0,
+  cardsProcessed: 0,
+  cacheHits: 0,
+  lastMs: 0,
+  maxMs: 0,
+  totalMs: 0,
+};
+
+/**
+ * Apply rules to a card unless its fields are unchanged since the last pass.
+ * @param {Element} card
+ * @param {CompiledRules} compiled
+ * @returns {boolean} Whether the card was (re)processed.
+ */
+function processCard(card, compiled) {
+  const fields = extractCardFields(card);
+  const fieldsKey = JSON.stringify(fields);
+  const cached = cardCache.get(card);
+  const isFresh = cached?.version === scanVersion && cached.fieldsKey === fieldsKey;
+
+  let state = cached;
+  if (!isFresh) {
+    const item = buildWatchItem(card, fields);
+    const ignoredKeys = new Set(matchIgnores[item.id]?.phrases || []);
+    applyRulesToCard(card, compiled, fields, ignoredKeys);
+    state = { version: scanVersion, fieldsKey, item };
+    cardCache.set(card, state);
+    renderSeenState(card, item);
+    queuePriceHistory(card, item);
+  }
+  ensureWatchButton(card, state.item);
+  ensureQuickActions(card);
+  return !isFresh;
 }
 
 /**
- * Apply rules to all items currently in the DOM.
  * @param {SiteRules} rules
+ * @returns {CardSortOrder}
  */
-function applyRulesToPage(rules) {
+function getCardSortOrder(rules) {
+  return CARD_SORT_ORDERS.includes(rules.sortOrder) ? rules.sortOrder : "site";
+}
+
+/** @type {WeakMap<Element, number>} Where the site put each card, for restoring it. */
+const siteCardOrder = new WeakMap();
+let nextSiteCardOrder = 0;
+let cardsAreReordered = false;
+
+/**
+ * Nodes moved by the last reorder; the observer skips their mutations once, so
+ * re-sorting doesn't trigger another scan.
+ * @type {Set<Node>}
+ */
+const sortMoves = new Set();
+
+function compareSortValues(a, b) {
+  return a === b ? 0 : a < b ? -1 : 1;
+}
+
+/**
+ * What a card sorts by: [rank, value, site position].
+ * @param {Element} card
+ * @param {CardSortOrder} order
+ * @returns {number[]}
+ */
+function cardSortKey(card, order) {
+  const position = siteCardOrder.get(card);
+  if (order === "site") return [0, 0, position];
+
+  const rank = card.hasAttribute(HIDDEN_ATTR) ? 2 : card.hasAttribute(HIGHLIGHT_ATTR) ? 0 : 1;
+  const item = cardCache.get(card)?.item;
+  let value = 0;
+  if (order === "total") {
+    value = item?.currentBid
+      ? calculateTrueBidTotal(item.currentBid, currentFeeProfile)
+      : Infinity;
+  } else if (order === "endTime") {
+    value = item?.endTime || Infinity;
+  }
+  // Only "matches" puts highlighted cards first; the others just sink excluded ones.
+  return [order === "matches" ? rank : Math.floor(rank / 2), value, position];
+}
+
+/**
+ * Put cards in the given order within the slots they occupy now, leaving the
+ * container's other children (ads, headings) where they are.
+ * @param {Element[]} current - The container's cards in DOM order.
+ * @param {Element[]} sorted
+ */
+function moveCardsIntoSlots(current, sorted) {
+  const slots = current.map((card) => {
+    const slot = document.createComment("");
+    sortMoves.add(slot);
+    card.before(slot);
+    return slot;
+  });
+  sorted.forEach((card, i) => {
+    sortMoves.add(card);
+    slots[i].replaceWith(card);
+  });
+}
+
+/**
+ * Reorder the page's cards within their containers per the site's sort order, or put
+ * them back in the site's order. Runs after every scan, so it re-applies when the site
+ * re-renders or loads more results.
+ * @param {Element[]} cards - Every card on the page, in DOM order.
+ * @param {CardSortOrder} order
+ */
+function sortCards(cards, order) {
+  for (const card of cards) {
+    if (!siteCardOrder.has(card)) siteCardOrder.set(card, nextSiteCardOrder++);
+  }
+  if (order === "site" && !cardsAreReordered) return;
+
+  const byContainer = new Map();
+  for (const card of cards) {
+    if (!card.parentElement) continue;
+    const group = byContainer.get(card.parentElement) || [];
+    group.push(card);
+    byContainer.set(card.parentElement, group);
+  }
+
+  let moved = 0;
+  for (const current of byContainer.values()) {
+    if (current.length < 2) continue;
+    const keys = new Map(current.map((card) => [card, cardSortKey(card, order)]));
+    const sorted = [...current].sort((a, b) => {
+      const ka = keys.get(a);
+      const kb = keys.get(b);
+      return (
+        compareSortValues(ka[0], kb[0]) ||
+        compareSortValues(ka[1], kb[1]) ||
+        compareSortValues(ka[2], kb[2])
+      );
+    });
+    if (sorted.every((card, i) => card === current[i])) continue;
+    moveCardsIntoSlots(current, sorted);
+    moved += current.length;
+  }
+
+  cardsAreReordered = order !== "site";
+  if (moved) log(order === "site" ? "Restored card order" : "Sorted cards", { order, moved });
+}
+
+/**
+ * Apply rules to some cards, then refresh everything that depends on the whole page
+ * (banner, highlight report, bid totals, card order).
+ * @param {Element[]} cards
+ * @param {"full"|"incremental"} kind
+ */
+function scanCards(cards, kind) {
+  const started = performance.now();
   injectHighlightCssOnce();
 
-  const effectiveSelector = getItemSelectorForHost(currentHost);
+  const displayMode = getExcludeDisplayMode(compiledRules.rules);
+  applyDisplayMode(displayMode);
+  applySeenDisplay(compiledRules.rules);
+
+  let processed = 0;
+  for (const card of cards) {
+    if (processCard(card, compiledRules)) processed++;
+  }
 
-  const cards = Array.from(document.querySelectorAll(effectiveSelector));
-  for (const card of cards) applyRulesToCard(card, rules);
+  const effectiveSelector = getItemSelectorForHost(currentHost);
+  const allCards =
+    kind === "full"
+      ? cards
+      : effectiveSelector
+        ? Array.from(document.querySelectorAll(effectiveSelector))
+        : [];
+  const hiddenCount = allCards.filter((c) => c.hasAttribute(HIDDEN_ATTR)).length;
+  updateHiddenBanner(displayMode, hiddenCount);
+  reportHighlightedItems(allCards);
+  reportPageStats(allCards);
+  sortCards(allCards, getCardSortOrder(compiledRules.rules));
 
   // Also enhance bid buttons
   enhanceBidButtons();
   enhanceMaxBidButtons();
 
-  log("Applied rules", {
+  const ms = performance.now() - started;
+  scanStats.scans++;
+  scanStats.cardsProcessed += processed;
+  scanStats.cacheHits += cards.length - processed;
+  scanStats.lastMs = ms;
+  scanStats.maxMs = Math.max(scanStats.maxMs, ms);
+  scanStats.totalMs += ms;
+
+  // Timers and live bids re-check cards all the time; only log passes that did work.
+  if (kind === "incremental" && !processed) return;
+  const rules = compiledRules.rules;
+  log(kind === "full" ? "Applied rules" : "Updated cards", {
     host: currentHost,
+    adapter: getSiteAdapterForHost(currentHost)?.id || "(picked)",
+    pageType: detectCurrentPageType(),
     effectiveSelector,
-    cardsSeen: cards.length,
-    includeCount: (rules.includePhrases || []).length,
-    excludeCount: (rules.excludePhrases || []).length,
+    cardsSeen: allCards.length,
+    cardsProcessed: processed,
+    displayMode,
+    hiddenCount,
+    rulesDomain: rulesDomainForHost(currentHost),
+    groups: getPhraseGroups(rules)
+      .filter((g) => g.enabled)
+      .map((g) => (g.tier === "global" ? `${g.name} (all sites)` : g.name)),
+    includeCount: compiledRules.includeMatchers.length,
+    excludeCount: compiledRules.excludeMatchers.length,
+    scanMs: Number(ms.toFixed(1)),
+    scanStats: {
+      ...scanStats,
+      lastMs: Number(scanStats.lastMs.toFixed(1)),
+      maxMs: Number(scanStats.maxMs.toFixed(1)),
+      totalMs: Number(scanStats.totalMs.toFixed(1)),
+    },
   });
 }
 
 /**
- * Observe DOM changes so newly loaded cards are filtered/highlighted.
+ * Apply rules to all items currently in the DOM, ignoring cached results.
  * @param {SiteRules} rules
  */
-function startObserver(rules) {
-  const observer = new MutationObserver((mutations) => {
-    // Micro-optimization: only re-scan if nodes were added.
-    let added = false;
-    for (const m of mutations) {
-      if (m.addedNodes && m.addedNodes.length) {
-        added = true;
-        break;
-      }
+function applyRulesToPage(rules) {
+  if (compiledRules?.rules !== rules) compiledRules = compileSiteRules(rules);
+  scanVersion++;
+  pendingCards.clear();
+
+  const effectiveSelector = getItemSelectorForHost(currentHost);
+  // Unsupported host (no built-in or picked selector): nothing to scan yet.
+  const cards = effectiveSelector
+    ? Array.from(document.querySelectorAll(effectiveSelector))
+    : [];
+  scanCards(cards, "full");
+}
+
+/** @type {Set<Element>} Cards touched by mutations since the last scan. */
+const pendingCards = new Set();
+let scanScheduled = false;
+
+/**
+ * Run one incremental scan for everything queued since the last one. requestAnimationFrame
+ * batches a burst of mutations into one pass before the next paint; the timeout covers
+ * background tabs, where animation frames don't fire.
+ */
+function schedulePendingScan() {
+  if (scanScheduled) return;
+  scanScheduled = true;
+
+  const run = () => {
+    if (!scanScheduled) return;
+    scanScheduled = false;
+    const cards = [...pendingCards].filter((c) => c.isConnected);
+    pendingCards.clear();
+    if (cards.length && compiledRules) scanCards(cards, "incremental");
+  };
+  requestAnimationFrame(run);
+  setTimeout(run, 250);
+}
+
+/**
+ * Our own injected UI (banner, star buttons, bid totals), whose updates shouldn't
+ * trigger scans.
+ * @param {Node} node
+ */
+function isOwnNode(node) {
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  if (!el) return false;
+  return Boolean(
+    el.closest(
+      `#${BANNER_ID}, #${TOAST_ID}, #${BUDGET_WIDGET_ID}, #${INVOICE_PANEL_ID}, .${WATCH_BUTTON_CLASS}`,
+    ) ||
+      [...el.classList].some((c) => c.startsWith("phrasefilter-")),
+  );
+}
+
+/**
+ * Queue the cards a batch of mutations added or changed.
+ * @param {MutationRecord[]} mutations
+ * @param {string} selector
+ */
+function queueChangedCards(mutations, selector) {
+  for (const m of mutations) {
+    if (isOwnNode(m.target)) continue;
+    // Cards we just reordered ourselves.
+    const isSortMove =
+      m.type === "childList" &&
+      [...m.addedNodes, ...m.removedNodes].every((node) => sortMoves.has(node));
+    if (isSortMove) continue;
+    // Our star button / bid total being inserted into a card.
+    const onlyOwnAdded =
+      m.type === "childList" &&
+      !m.removedNodes.length &&
+      [...m.addedNodes].every(isOwnNode);
+    if (onlyOwnAdded) continue;
+
+    // A card whose content changed (new title, live bid, React re-render).
+    const target = m.target.nodeType === Node.ELEMENT_NODE ? m.target : m.target.parentElement;
+    const owner = target?.closest(selector);
+    if (owner) pendingCards.add(owner);
+
+    // New cards, on their own or inside a newly loaded chunk of results.
+    for (const node of m.addedNodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE || isOwnNode(node)) continue;
+      if (node.matches(selector)) pendingCards.add(node);
+      for (const card of node.querySelectorAll(selector)) pendingCards.add(card);
     }
-    if (!added) return;
+  }
+}
 
-    applyRulesToPage(rules);
+/**
+ * Observe DOM changes so new and changed cards are filtered/highlighted, batched
+ * into one incremental scan per frame.
+ */
+function startObserver() {
+  const observer = new MutationObserver((mutations) => {
+    scheduleInvoiceEstimate();
+
+    const selector = getItemSelectorForHost(currentHost);
+    if (!selector) return;
+
+    queueChangedCards(mutations, selector);
+    sortMoves.clear();
+    if (pendingCards.size) schedulePendingScan();
   });
 
   observer.observe(document.documentElement, {
     childList: true,
+    characterData: true,
     subtree: true,
   });
 
@@ -436,16 +2590,20 @@ function startObserver(rules) {
 
 let currentHost = "";
 let currentRules = defaultSiteRules();
+/** @type {SiteConfig} */
+let currentSiteConfig = {};
+let currentFeeProfile = emptyFeeProfile();
 let observerHandle = null;
+/** @type {Set<string>} */
+let watchedIds = new Set();
+/** @type {Record<string, MatchIgnore>} */
+let matchIgnores = {};
 
 /**
  * Called whenever rules change or the script initializes.
  */
 function onRulesReady() {
-  // Reset observer to ensure it uses current rules.
-  if (observerHandle) observerHandle.disconnect();
-  observerHandle = startObserver(currentRules);
-
+  if (!observerHandle) observerHandle = startObserver();
   applyRulesToPage(currentRules);
 }
 
@@ -456,25 +2614,101 @@ async function init() {
     return;
   }
 
+  currentFeeProfile = getActiveFeeProfile(
+    getHostFeeSettings(await loadFeeProfilesByHost(), currentHost),
+  );
+  watchedIds = new Set((await loadWatchlist()).map((i) => i.id));
+  matchIgnores = await loadMatchIgnores();
+  seenAtLoad = await loadSeenItems(currentHost);
+  hasSeenHistory = Object.keys(seenAtLoad).length > 0;
+  committedBids = await loadCommittedBids();
+  bidBudget = await loadBidBudget();
+  currentSiteConfig = await loadSiteConfig(currentHost);
   currentRules = await loadSiteRules(currentHost);
   onRulesReady();
+  renderBudgetWidget();
+  updateInvoiceEstimate();
 
   chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName !== "sync") return;
+    if (areaName === "local" && changes?.[WATCHLIST_KEY]) {
+      const items = changes[WATCHLIST_KEY].newValue || [];
+      watchedIds = new Set(items.map((i) => i.id));
+      refreshWatchButtons();
+    }
 
-    const changed = changes?.[STORAGE_KEY];
-    if (!changed) return;
+    if (areaName === "local" && changes?.[MATCH_IGNORES_KEY]) {
+      matchIgnores = changes[MATCH_IGNORES_KEY].newValue || {};
+      applyRulesToPage(currentRules);
+    }
 
-    const nextRulesByHost =
-      changed.newValue && typeof changed.newValue === "object"
-        ? changed.newValue
-        : {};
+    // Bids placed in other tabs, removed in the popup, or a new budget.
+    const bidsChange = areaName === "local" && changes?.[COMMITTED_BIDS_KEY];
+    const budgetChange = areaName === "sync" && changes?.[BID_BUDGET_KEY];
+    if (bidsChange || budgetChange) {
+      if (bidsChange) {
+        committedBids = Object.fromEntries(
+          Object.entries(bidsChange.newValue || {}).filter(([, bid]) =>
+            isCommittedBidActive(bid),
+          ),
+        );
+      }
+      if (budgetChange) bidBudget = normalizeBidBudget(budgetChange.newValue);
+      renderBudgetWidget();
+      refreshBidTotals();
+    }
 
-    const nextSiteRules = nextRulesByHost[currentHost] || null;
-    currentRules = { ...defaultSiteRules(), ...(nextSiteRules || {}) };
+    // History cleared from the popup: start over as on a first visit.
+    const seenChange = areaName === "local" && changes?.[SEEN_ITEMS_KEY];
+    if (seenChange && hasSeenHistory && !seenChange.newValue?.[currentHost]) {
+      seenAtLoad = {};
+      hasSeenHistory = false;
+      applyRulesToPage(currentRules);
+    }
 
-    onRulesReady();
+    // Rules can live in either area, and global rules apply here too (see rulesStorage.js).
+    if (isRulesStorageChange(changes, currentHost)) {
+      loadSiteRules(currentHost).then((rules) => {
+        currentRules = rules;
+        onRulesReady();
+      });
+    }
+
+    if (areaName !== "sync") return;
+
+    const siteConfigChanged = changes?.[SITE_CONFIG_KEY];
+    if (siteConfigChanged) {
+      currentSiteConfig = siteConfigChanged.newValue?.[currentHost] || {};
+      onRulesReady();
+    }
+
+    const feesChanged = changes?.[FEE_STORAGE_KEY];
+    if (feesChanged) {
+      currentFeeProfile = getActiveFeeProfile(
+        getHostFeeSettings(feesChanged.newValue || {}, currentHost),
+      );
+      refreshBidTotals();
+      updateInvoiceEstimate();
+      // Price ceilings compare against true totals, which just changed.
+      applyRulesToPage(currentRules);
+    }
   });
 }
 
+/**
+ * Messages from the popup and the context menu.
+ * @param {any} message
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {(response?: any) => void} sendResponse
+ */
+function onRuntimeMessage(message, sender, sendResponse) {
+  if (message?.type === "phraseFilter:startPicker") startElementPicker();
+  if (message?.type === "phraseFilter:addPhrase") {
+    addSelectedTextPhrase(message.kind, message.text);
+  }
+  if (message?.type === "phraseFilter:getPageStats") sendResponse(lastPageStats);
+}
+
+// Registered before init() awaits anything: right after the popup injects the scripts
+// into a tab it sends startPicker, which would otherwise find no receiving end.
+chrome.runtime.onMessage.addListener(onRuntimeMessage);
 init();
@@ -0,0 +1,13 @@
+// CSV helpers.
+// Shared by the content script (invoice estimates, see invoiceEstimate.js) and the
+// popup (rule exports, see ruleTransfer.js), so both write the same quoting.
+
+/**
+ * One CSV cell, quoted when it holds a quote, comma or line break.
+ * @param {any} value - null / undefined become an empty cell.
+ * @returns {string}
+ */
+function csvCell(value) {
+  const s = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
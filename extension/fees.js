@@ -0,0 +1,228 @@
+// Fee profiles.
+// Shared by the content script and the popup (loaded after the site adapters,
+// before content.js / popup.js), and the background worker.
+//
+// A fee profile describes how a winning bid turns into what you actually pay:
+// - buyer's premium (percent of the bid)
+// - tiered flat fees (e.g. BidFTA's freight/handling step)
+// - sales tax (optionally also charged on the premium)
+//
+// Profiles are named and stored per site, keyed like the rules by rules domain
+// (rulesDomainForHost, rulesStorage.js): hosts that share rules also share totals and
+// price-ceiling verdicts. Each site has one active profile.
+
+const FEE_STORAGE_KEY = "phraseFilterFeeProfilesByHost";
+
+/**
+ * @typedef {Object} FlatFeeTier
+ * @property {number|null} upTo - Tier applies when bid <= upTo. null means "any amount".
+ * @property {number} fee - Flat fee in dollars.
+ */
+
+/**
+ * @typedef {Object} FeeProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {number} premiumPercent
+ * @property {FlatFeeTier[]} flatFees - Checked in order; the first matching tier wins.
+ * @property {number} taxPercent
+ * @property {boolean} taxAppliesToPremium
+ */
+
+/**
+ * @typedef {Object} HostFeeSettings
+ * @property {string} activeProfileId
+ * @property {FeeProfile[]} profiles
+ */
+
+/**
+ * @typedef {Object} BidBreakdown
+ * @property {number} bid
+ * @property {number} premium
+ * @property {number} fees
+ * @property {number} tax
+ * @property {number} total
+ */
+
+/**
+ * @returns {FeeProfile}
+ */
+function emptyFeeProfile() {
+  return {
+    id: "no-fees",
+    name: "No fees",
+    premiumPercent: 0,
+    flatFees: [],
+    taxPercent: 0,
+    taxAppliesToPremium: false,
+  };
+}
+
+function newFeeProfileId() {
+  return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function toFeeNumber(value) {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? n : 0;
+}
+
+/**
+ * Coerce stored/edited data into a well-formed profile.
+ * @param {any} raw
+ * @returns {FeeProfile}
+ */
+function normalizeFeeProfile(raw) {
+  const p = raw && typeof raw === "object" ? raw : {};
+  const tiers = Array.isArray(p.flatFees) ? p.flatFees : [];
+  return {
+    id: (p.id || "").toString() || newFeeProfileId(),
+    name: (p.name || "").toString().trim() || "Untitled",
+    premiumPercent: toFeeNumber(p.premiumPercent),
+    flatFees: tiers
+      .filter((t) => t && typeof t === "object")
+      .map((t) => ({
+        upTo:
+          t.upTo === null || t.upTo === undefined || t.upTo === ""
+            ? null
+            : toFeeNumber(t.upTo),
+        fee: toFeeNumber(t.fee),
+      })),
+    taxPercent: toFeeNumber(p.taxPercent),
+    taxAppliesToPremium: Boolean(p.taxAppliesToPremium),
+  };
+}
+
+/**
+ * Built-in profiles for a host, from its site adapter (supports subdomains). Returns copies.
+ * @param {string} host
+ * @returns {FeeProfile[]}
+ */
+function builtInFeeProfilesForHost(host) {
+  const profiles = getSiteAdapterForHost(host)?.feeProfiles || [];
+  return profiles.length
+    ? profiles.map(normalizeFeeProfile)
+    : [emptyFeeProfile()];
+}
+
+/**
+ * Stored settings for a host, falling back to the built-in profiles.
+ * @param {Record<string, any>} feesByHost - Keyed by rules domain.
+ * @param {string} host
+ * @returns {HostFeeSettings}
+ */
+function getHostFeeSettings(feesByHost, host) {
+  const stored = feesByHost?.[rulesDomainForHost(host)];
+  const profiles =
+    stored && Array.isArray(stored.profiles) && stored.profiles.length
+      ? stored.profiles.map(normalizeFeeProfile)
+      : builtInFeeProfilesForHost(host);
+  const activeProfileId = profiles.some((p) => p.id === stored?.activeProfileId)
+    ? stored.activeProfileId
+    : profiles[0].id;
+  return { activeProfileId, profiles };
+}
+
+/**
+ * @param {HostFeeSettings} settings
+ * @returns {FeeProfile}
+ */
+function getActiveFeeProfile(settings) {
+  const profiles = settings?.profiles || [];
+  return (
+    profiles.find((p) => p.id === settings.activeProfileId) ||
+    profiles[0] ||
+    emptyFeeProfile()
+  );
+}
+
+/**
+ * One site's stored fee settings with another's merged in, for the storage migration
+ * folding hosts into their rules domain: into's active profile, plus any of from's
+ * profiles it doesn't have.
+ * @param {HostFeeSettings|undefined} into
+ * @param {HostFeeSettings} from
+ * @returns {HostFeeSettings}
+ */
+function mergeHostFeeSettings(into, from) {
+  if (!into) return from;
+  const profiles = Array.isArray(into.profiles) ? into.profiles : [];
+  const ids = new Set(profiles.map((p) => p.id));
+  const added = (Array.isArray(from?.profiles) ? from.profiles : []).filter(
+    (p) => !ids.has(p.id),
+  );
+  return { ...into, profiles: [...profiles, ...added] };
+}
+
+async function loadFeeProfilesByHost() {
+  const result = await chrome.storage.sync.get(FEE_STORAGE_KEY);
+  const feesByHost = result?.[FEE_STORAGE_KEY];
+  return feesByHost && typeof feesByHost === "object" ? feesByHost : {};
+}
+
+/**
+ * @param {FlatFeeTier[]} tiers
+ * @param {number} bidAmount
+ */
+function flatFeeForBid(tiers, bidAmount) {
+  for (const tier of tiers || []) {
+    if (tier.upTo === null || bidAmount <= tier.upTo) return tier.fee;
+  }
+  return 0;
+}
+
+/**
+ * Break a bid down into premium, flat fees and tax under a fee profile.
+ * @param {number} bidAmount - The bid amount in dollars
+ * @param {FeeProfile} profile
+ * @returns {BidBreakdown}
+ */
+function calculateBidBreakdown(bidAmount, profile) {
+  const p = profile || emptyFeeProfile();
+  const bid = bidAmount;
+  const premium = bid * (p.premiumPercent / 100);
+  const fees = flatFeeForBid(p.flatFees, bid);
+
+  const taxable = bid + fees + (p.taxAppliesToPremium ? premium : 0);
+  const tax = taxable * (p.taxPercent / 100);
+
+  return { bid, premium, fees, tax, total: bid + premium + fees + tax };
+}
+
+/**
+ * Calculate true total cost for a bid including buyer's premium, flat fees, and sales tax.
+ * @param {number} bidAmount - The bid amount in dollars
+ * @param {FeeProfile} profile
+ * @returns {number} Total cost after all fees and taxes
+ */
+function calculateTrueBidTotal(bidAmount, profile) {
+  return calculateBidBreakdown(bidAmount, profile).total;
+}
+
+/**
+ * How far under the retail price a true total is, e.g. 72 for "72% off". Negative when
+ * the total is more than retail.
+ * @param {number|null} retailPrice
+ * @param {number} total
+ * @returns {number|null} Whole percent, or null without a usable retail price.
+ */
+function retailDiscountPercent(retailPrice, total) {
+  if (!(retailPrice > 0)) return null;
+  return Math.round((1 - total / retailPrice) * 100);
+}
+
+function formatMoney(amount) {
+  return `$${(amount || 0).toFixed(2)}`;
+}
+
+/**
+ * One-line breakdown, e.g. "$10.00 bid + $1.75 premium + $1.00 fees + $1.21 tax".
+ * @param {BidBreakdown} breakdown
+ */
+function formatBidBreakdown(breakdown) {
+  const parts = [`${formatMoney(breakdown.bid)} bid`];
+  if (breakdown.premium) parts.push(`${formatMoney(breakdown.premium)} premium`);
+  if (breakdown.fees) parts.push(`${formatMoney(breakdown.fees)} fees`);
+  if (breakdown.tax) parts.push(`${formatMoney(breakdown.tax)} tax`);
+  return parts.join(" + ");
+}
@@ -0,0 +1,111 @@
+// Invoice estimates.
+// Used by the content script on account / invoice pages: won items (see each adapter's
+// findWonItems) are priced with the host's fee profile, the same way as bid totals
+// (see fees.js), and grouped into one estimated invoice per pickup location and date,
+// to check against the site's actual invoice.
+
+const INVOICE_CSV_COLUMNS = [
+  "location",
+  "pickupDate",
+  "lotId",
+  "title",
+  "bid",
+  "premium",
+  "fees",
+  "tax",
+  "total",
+];
+
+/**
+ * @typedef {Object} InvoiceLine
+ * @property {WonItem} item
+ * @property {BidBreakdown} breakdown
+ */
+
+/**
+ * @typedef {Object} InvoiceEstimate
+ * @property {string} location
+ * @property {string} pickupDate
+ * @property {InvoiceLine[]} lines
+ * @property {BidBreakdown} totals - Sums over the lines.
+ */
+
+/**
+ * One estimate per pickup location and date, in the order they first appear.
+ * @param {WonItem[]} items
+ * @param {FeeProfile} profile
+ * @returns {InvoiceEstimate[]}
+ */
+function estimateInvoices(items, profile) {
+  const byPickup = new Map();
+  for (const item of items) {
+    const location = item.location || "Unknown location";
+    const pickupDate = item.pickupDate || "";
+    const key = `${location.toLowerCase()}|${pickupDate.toLowerCase()}`;
+    if (!byPickup.has(key)) {
+      byPickup.set(key, {
+        location,
+        pickupDate,
+        lines: [],
+        totals: { bid: 0, premium: 0, fees: 0, tax: 0, total: 0 },
+      });
+    }
+
+    const estimate = byPickup.get(key);
+    const breakdown = calculateBidBreakdown(item.amount, profile);
+    estimate.lines.push({ item, breakdown });
+    for (const part of Object.keys(estimate.totals)) {
+      estimate.totals[part] += breakdown[part];
+    }
+  }
+  return [...byPickup.values()];
+}
+
+/**
+ * @param {Array<string|number>} values
+ */
+function invoiceCsvRow(values) {
+  return values
+    .map((value) => csvCell(typeof value === "number" ? value.toFixed(2) : value))
+    .join(",");
+}
+
+/**
+ * One row per won item, then a "Subtotal" row per estimate.
+ * @param {InvoiceEstimate[]} estimates
+ * @returns {string}
+ */
+function invoiceEstimatesCsv(estimates) {
+  const lines = [INVOICE_CSV_COLUMNS.join(",")];
+  for (const { location, pickupDate, lines: items, totals } of estimates) {
+    for (const { item, breakdown } of items) {
+      lines.push(
+        invoiceCsvRow([
+          location,
+          pickupDate,
+          item.lotId,
+          item.title,
+          breakdown.bid,
+          breakdown.premium,
+          breakdown.fees,
+          breakdown.tax,
+          breakdown.total,
+        ]),
+      );
+    }
+    lines.push(
+      invoiceCsvRow([
+        location,
+        pickupDate,
+        "",
+        "Subtotal",
+        totals.bid,
+        totals.premium,
+        totals.fees,
+        totals.tax,
+        totals.total,
+      ]),
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,45 @@
+// Per-item match ignores.
+// Used by the content script: "Ignore for this item" in a card's match explanation
+// stops one phrase from affecting that one listing, without touching the phrase lists.
+// Stored in chrome.storage.local, keyed by item id (see watchItemId); phrases use the
+// same "<list>:<mode>:<field>:<text>" keys as globalPhraseKey:
+//   { "<item id>": { "phrases": ["includePhrases:substring:title:saw"], "at": 1761000000000 } }
+
+const MATCH_IGNORES_KEY = "phraseFilterMatchIgnores";
+
+// An ignore is about one listing, so it needn't outlive it: 30 days covers the longest
+// auctions. Counted from the last change; ignoring another phrase on the item extends it.
+const MATCH_IGNORE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} MatchIgnore
+ * @property {string[]} phrases
+ * @property {number} at - Epoch ms of the last change.
+ */
+
+/**
+ * @returns {Promise<Record<string, MatchIgnore>>}
+ */
+async function loadMatchIgnores() {
+  const result = await chrome.storage.local.get(MATCH_IGNORES_KEY);
+  const ignores = result?.[MATCH_IGNORES_KEY];
+  return ignores && typeof ignores === "object" ? ignores : {};
+}
+
+/**
+ * Stop one phrase from matching one item. Also drops expired entries.
+ * @param {string} itemId
+ * @param {string} phraseKey
+ */
+async function ignorePhraseForItem(itemId, phraseKey) {
+  const ignores = await loadMatchIgnores();
+  const now = Date.now();
+  for (const [id, ignore] of Object.entries(ignores)) {
+    if (!(now - ignore.at < MATCH_IGNORE_TTL_MS)) delete ignores[id];
+  }
+
+  const phrases = new Set(ignores[itemId]?.phrases || []);
+  phrases.add(phraseKey);
+  ignores[itemId] = { phrases: [...phrases], at: now };
+  await chrome.storage.local.set({ [MATCH_IGNORES_KEY]: ignores });
+}
@@ -0,0 +1,262 @@
+// Phrase groups.
+// Shared by the content script and the popup (loaded after phrases.js, before
+// rulesStorage.js).
+//
+// A host's include/exclude phrases are organized into named groups ("Power tools",
+// "Always junk") that can be switched on and off without deleting anything:
+//   { groups: [{ id, name, enabled, includePhrases, excludePhrases }], excludeDisplay,
+//     sortOrder, dimSeen, minDiscount, pickupFilter }
+// Only enabled groups take part in matching.
+//
+// Older rules kept two flat lists on the host itself; those are read as one default
+// group (and rewritten that way by the storage migration, see rulesStorage.js).
+//
+// Groups come in two tiers: global ones (stored under GLOBAL_RULES_HOST) apply on
+// every site, site ones only on their own domain. A site can switch off single global
+// phrases by listing them in its disabledGlobalPhrases (see globalPhraseKey).
+
+const DEFAULT_GROUP_ID = "default";
+const DEFAULT_GROUP_NAME = "General";
+
+/**
+ * @typedef {Object} PhraseGroup
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {Array<string|Object>} includePhrases - Stored form (see toStoredPhrase).
+ * @property {Array<string|Object>} excludePhrases
+ * @property {"global"|"site"} [tier] - Set on resolved rules only; never stored.
+ */
+
+/** @type {Array<"global"|"site">} */
+const RULE_TIERS = ["global", "site"];
+
+const RULE_TIER_LABELS = { global: "all sites", site: "this site" };
+
+function newPhraseGroupId() {
+  return `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * @param {string} [name]
+ * @param {string} [id]
+ * @returns {PhraseGroup}
+ */
+function emptyPhraseGroup(name = DEFAULT_GROUP_NAME, id = newPhraseGroupId()) {
+  return { id, name, enabled: true, includePhrases: [], excludePhrases: [] };
+}
+
+/**
+ * @param {any} raw
+ * @returns {PhraseGroup|null}
+ */
+function normalizePhraseGroup(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  return {
+    id: (raw.id || "").toString() || newPhraseGroupId(),
+    name: (raw.name || "").toString().trim() || "Untitled",
+    enabled: raw.enabled === undefined ? true : Boolean(raw.enabled),
+    includePhrases: Array.isArray(raw.includePhrases) ? raw.includePhrases : [],
+    excludePhrases: Array.isArray(raw.excludePhrases) ? raw.excludePhrases : [],
+    ...(RULE_TIERS.includes(raw.tier) ? { tier: raw.tier } : {}),
+  };
+}
+
+/**
+ * A host's groups, folding any flat (pre-group) lists into the default group.
+ * @param {Object|null} rules - Stored site rules.
+ * @returns {PhraseGroup[]}
+ */
+function getPhraseGroups(rules) {
+  const groups = (Array.isArray(rules?.groups) ? rules.groups : [])
+    .map(normalizePhraseGroup)
+    .filter(Boolean);
+
+  const flatInclude = Array.isArray(rules?.includePhrases) ? rules.includePhrases : [];
+  const flatExclude = Array.isArray(rules?.excludePhrases) ? rules.excludePhrases : [];
+  if (flatInclude.length || flatExclude.length) {
+    let group = groups.find((g) => g.id === DEFAULT_GROUP_ID);
+    if (!group) {
+      group = emptyPhraseGroup(DEFAULT_GROUP_NAME, DEFAULT_GROUP_ID);
+      groups.unshift(group);
+    }
+    group.includePhrases = [...flatInclude, ...group.includePhrases];
+    group.excludePhrases = [...flatExclude, ...group.excludePhrases];
+  }
+  return groups;
+}
+
+/**
+ * Site rules in group form: flat lists moved into groups, everything else kept.
+ * @param {Object|null} rules
+ * @returns {Object}
+ */
+function toGroupedSiteRules(rules) {
+  const { includePhrases: _include, excludePhrases: _exclude, ...rest } = rules || {};
+  return { ...rest, groups: getPhraseGroups(rules) };
+}
+
+/**
+ * The stored group another group corresponds to: same id, else same name
+ * (case-insensitive).
+ * @param {PhraseGroup[]} groups
+ * @param {PhraseGroup} group
+ * @returns {PhraseGroup|null}
+ */
+function findMatchingGroup(groups, group) {
+  return (
+    groups.find((g) => g.id === group.id) ||
+    groups.find((g) => g.name.toLowerCase() === group.name.toLowerCase()) ||
+    null
+  );
+}
+
+/**
+ * Merge one host's rules into another's. Groups are matched with findMatchingGroup and
+ * their phrases unioned (the target's entry wins for duplicates, and keeps its on/off
+ * state); unmatched groups are appended. Other settings only fill in what the target
+ * lacks.
+ * @param {Object|null} target
+ * @param {Object|null} source
+ * @returns {Object} Grouped site rules.
+ */
+function mergeSiteRules(target, source) {
+  const merged = toGroupedSiteRules(target);
+  for (const group of getPhraseGroups(source)) {
+    const match = findMatchingGroup(merged.groups, group);
+    if (!match) {
+      const idTaken = merged.groups.some((g) => g.id === group.id);
+      merged.groups.push(idTaken ? { ...group, id: newPhraseGroupId() } : group);
+      continue;
+    }
+    for (const key of ["includePhrases", "excludePhrases"]) {
+      match[key] = uniqPhrases([
+        ...normalizePhraseEntries(match[key]),
+        ...normalizePhraseEntries(group[key]),
+      ]).map(toStoredPhrase);
+    }
+  }
+
+  const disabled = [
+    ...(merged.disabledGlobalPhrases || []),
+    ...(source?.disabledGlobalPhrases || []),
+  ];
+  if (disabled.length) merged.disabledGlobalPhrases = [...new Set(disabled)];
+  const settings = ["excludeDisplay", "sortOrder", "dimSeen", "minDiscount", "pickupFilter"];
+  for (const key of settings) {
+    if (!merged[key] && source?.[key]) merged[key] = source[key];
+  }
+  return merged;
+}
+
+/**
+ * How a site refers to one global phrase in its disabledGlobalPhrases.
+ * @param {"includePhrases"|"excludePhrases"} listKey
+ * @param {PhraseEntry} entry
+ */
+function globalPhraseKey(listKey, entry) {
+  return `${listKey}:${phraseEntryKey(entry)}`;
+}
+
+/**
+ * Identifies one phrase in one group across the content script and popup (page hit
+ * counts): "site:tools:includePhrases:substring:title:saw".
+ * @param {{ tier?: string, id: string }} group
+ * @param {"includePhrases"|"excludePhrases"} listKey
+ * @param {PhraseEntry} entry
+ */
+function phraseHitKey(group, listKey, entry) {
+  return `${group.tier || "site"}:${group.id}:${globalPhraseKey(listKey, entry)}`;
+}
+
+/**
+ * The rules in effect on a site: global groups first (minus the phrases the site
+ * switched off), then the site's own groups, each tagged with its tier. Other settings
+ * come from the site.
+ * @param {Object|null} globalRules
+ * @param {Object|null} siteRules
+ * @returns {Object} Grouped site rules.
+ */
+function resolveSiteRules(globalRules, siteRules) {
+  const disabled = new Set(siteRules?.disabledGlobalPhrases || []);
+  const isOn = (listKey) => (raw) => {
+    const entry = normalizePhraseEntry(raw);
+    return entry && !disabled.has(globalPhraseKey(listKey, entry));
+  };
+
+  const globalGroups = getPhraseGroups(globalRules).map((g) => ({
+    ...g,
+    tier: "global",
+    includePhrases: g.includePhrases.filter(isOn("includePhrases")),
+    excludePhrases: g.excludePhrases.filter(isOn("excludePhrases")),
+  }));
+  const siteGroups = getPhraseGroups(siteRules).map((g) => ({ ...g, tier: "site" }));
+  return {
+    ...toGroupedSiteRules(siteRules),
+    groups: [...globalGroups, ...siteGroups],
+  };
+}
+
+/**
+ * "Power tools · all sites"
+ * @param {PhraseGroup} group
+ */
+function phraseGroupLabel(group) {
+  const label = `${group.name} · ${RULE_TIER_LABELS[group.tier || "site"]}`;
+  return group.enabled ? label : `${label} (off)`;
+}
+
+/**
+ * Choices for "which group should a new phrase go into", as "<tier>:<group id>" values.
+ * Site groups come first, so new phrases default to the site; a tier without groups
+ * offers its default group, created on first use (see addPhraseToGroup).
+ * @param {PhraseGroup[]} groups - Both tiers, tagged.
+ * @returns {{ value: string, label: string }[]}
+ */
+function phraseGroupTargets(groups) {
+  const targets = [];
+  for (const tier of ["site", "global"]) {
+    const tierGroups = groups.filter((g) => (g.tier || "site") === tier);
+    const shown = tierGroups.length
+      ? tierGroups
+      : [{ ...emptyPhraseGroup(DEFAULT_GROUP_NAME, DEFAULT_GROUP_ID), tier }];
+    for (const g of shown) {
+      targets.push({ value: `${tier}:${g.id}`, label: phraseGroupLabel(g) });
+    }
+  }
+  return targets;
+}
+
+/**
+ * @param {string} value - From phraseGroupTargets.
+ * @returns {{ tier: "global"|"site", groupId: string }}
+ */
+function parseGroupTarget(value) {
+  const [tier, groupId = ""] = (value || "").split(/:(.*)/);
+  return { tier: tier === "global" ? "global" : "site", groupId };
+}
+
+/**
+ * Add a phrase to a group of grouped site rules (in place). Falls back to the first
+ * enabled group, then the first group, then a new default group.
+ * @param {{ groups: PhraseGroup[] }} rules
+ * @param {string} groupId
+ * @param {"includePhrases"|"excludePhrases"} listKey
+ * @param {PhraseEntry} entry
+ * @returns {PhraseGroup} The group the phrase went into.
+ */
+function addPhraseToGroup(rules, groupId, listKey, entry) {
+  let group =
+    rules.groups.find((g) => g.id === groupId) ||
+    rules.groups.find((g) => g.enabled) ||
+    rules.groups[0];
+  if (!group) {
+    group = emptyPhraseGroup(DEFAULT_GROUP_NAME, DEFAULT_GROUP_ID);
+    rules.groups.push(group);
+  }
+  group[listKey] = uniqPhrases([
+    ...normalizePhraseEntries(group[listKey]),
+    entry,
+  ]).map(toStoredPhrase);
+  return group;
+}
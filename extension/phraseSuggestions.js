@@ -0,0 +1,101 @@
+// Phrase suggestions.
+// Used by the content script's Interested / Not interested chooser on each card:
+// candidate phrases taken from the card title, most specific first.
+//   "DeWalt DCD771C2 20V Max Cordless Drill"
+//   => DeWalt, DCD771C2, 20V, DeWalt DCD771C2, 20V Max, Cordless Drill, ...
+
+const MAX_PHRASE_SUGGESTIONS = 8;
+
+// Words that make poor phrases on their own or at the edge of an n-gram.
+const SUGGESTION_STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "as",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "w",
+  "with",
+  "lot",
+  "new",
+  "used",
+  "item",
+  "items",
+  "pc",
+  "pcs",
+  "piece",
+  "pieces",
+]);
+
+/**
+ * Title words with surrounding punctuation stripped ("(Tool-only)," => "Tool-only").
+ * @param {string} title
+ * @returns {string[]}
+ */
+function titleTokens(title) {
+  return (title || "")
+    .split(/[\s,;:|/()[\]{}"“”]+/)
+    .map((t) => t.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Letters and digits together ("20V", "M18", "DCD771C2", "i7-8700"): usually a model,
+ * size or spec, which makes a precise phrase.
+ * @param {string} token
+ */
+function isModelLikeToken(token) {
+  return /\p{L}/u.test(token) && /\p{N}/u.test(token) && token.length >= 2;
+}
+
+function isSuggestibleWord(token) {
+  return token.length >= 3 && !SUGGESTION_STOPWORDS.has(token.toLowerCase());
+}
+
+/**
+ * Suggested phrases for a card title: the brand (first real word), model-like tokens,
+ * two- and three-word runs, then other notable words.
+ * @param {string} title
+ * @returns {string[]}
+ */
+function suggestPhrasesFromTitle(title) {
+  const tokens = titleTokens(title);
+  const candidates = [];
+
+  // The brand is usually the first real word ("(New) Apple iPhone" => "Apple").
+  const brand = tokens.find((t) => /^\p{L}/u.test(t) && isSuggestibleWord(t));
+  if (brand && !isModelLikeToken(brand)) candidates.push(brand);
+  candidates.push(...tokens.filter(isModelLikeToken));
+
+  // N-grams may contain stopwords and numbers inside ("Black and Decker") but not at
+  // the edges ("Lot of 3").
+  const isEdgeWord = (t) =>
+    SUGGESTION_STOPWORDS.has(t.toLowerCase()) || /^\p{N}+$/u.test(t);
+  for (const n of [2, 3]) {
+    for (let i = 0; i + n <= tokens.length; i++) {
+      const gram = tokens.slice(i, i + n);
+      if (isEdgeWord(gram[0]) || isEdgeWord(gram[n - 1])) continue;
+      candidates.push(gram.join(" "));
+    }
+  }
+  candidates.push(...tokens.filter(isSuggestibleWord));
+
+  const seen = new Set();
+  return candidates
+    .filter((c) => {
+      const key = c.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_PHRASE_SUGGESTIONS);
+}
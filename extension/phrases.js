@@ -0,0 +1,217 @@
+// Phrase entries and match modes.
+// Shared by the content script and the popup (loaded before content.js / popup.js).
+//
+// A stored phrase is either a plain string (substring match, the original format)
+// or an object { text, mode }. Plain strings keep working as substring matches.
+// Mode "expression" holds a boolean rule (see ruleExpression.js, loaded first).
+//
+// An entry may also target one card field ({ field: "condition" }) or every field
+// ({ field: "any" }). Entries without a field match the title, as they always have.
+//
+// Include entries may carry a price ceiling ({ maxPrice: 40 }): the most we'd pay in
+// total (bid + premium + fees + tax, see fees.js) for an item that phrase matches.
+
+/**
+ * @typedef {"substring"|"word"|"wildcard"|"regex"|"expression"} MatchMode
+ */
+
+/**
+ * @typedef {Object} PhraseEntry
+ * @property {string} text
+ * @property {MatchMode} mode
+ * @property {CardField} field
+ * @property {number} [maxPrice] - Include phrases only: highest true total we'd pay.
+ */
+
+/**
+ * @typedef {"any"|"title"|"condition"|"description"|"location"|"lotId"|"currentBid"} CardField
+ */
+
+const DEFAULT_MATCH_MODE = "substring";
+
+const MATCH_MODE_LABELS = {
+  substring: "Contains",
+  word: "Whole word",
+  wildcard: "Wildcard",
+  regex: "Regex",
+  expression: "Rule",
+};
+
+const DEFAULT_CARD_FIELD = "title";
+
+const CARD_FIELD_LABELS = {
+  title: "Title",
+  any: "Any field",
+  condition: "Condition",
+  description: "Description",
+  location: "Location",
+  lotId: "Lot #",
+  currentBid: "Current bid",
+  retailPrice: "Retail price",
+};
+
+/**
+ * A usable price ceiling, or null for "none" (empty, zero, negative, not a number).
+ * @param {any} value
+ * @returns {number|null}
+ */
+function parseMaxPrice(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * @param {any} raw - A stored phrase (string or object).
+ * @returns {PhraseEntry|null}
+ */
+function normalizePhraseEntry(raw) {
+  if (typeof raw === "string") {
+    const text = raw.trim();
+    return text
+      ? { text, mode: DEFAULT_MATCH_MODE, field: DEFAULT_CARD_FIELD }
+      : null;
+  }
+  if (!raw || typeof raw !== "object") return null;
+
+  const text = (raw.text || "").toString().trim();
+  if (!text) return null;
+  const mode = Object.hasOwn(MATCH_MODE_LABELS, raw.mode)
+    ? raw.mode
+    : DEFAULT_MATCH_MODE;
+  const field = Object.hasOwn(CARD_FIELD_LABELS, raw.field)
+    ? raw.field
+    : DEFAULT_CARD_FIELD;
+  const { maxPrice, ...rest } = raw;
+  const ceiling = parseMaxPrice(maxPrice);
+  return ceiling === null
+    ? { ...rest, text, mode, field }
+    : { ...rest, text, mode, field, maxPrice: ceiling };
+}
+
+/**
+ * @param {any[]} arr
+ * @returns {PhraseEntry[]}
+ */
+function normalizePhraseEntries(arr) {
+  const list = Array.isArray(arr) ? arr : [];
+  return list.map(normalizePhraseEntry).filter(Boolean);
+}
+
+/**
+ * Storage form of an entry. Title-only substring entries stay plain strings so older
+ * data (and older versions of the extension) read them unchanged.
+ * @param {PhraseEntry} entry
+ * @returns {string|Object}
+ */
+function toStoredPhrase(entry) {
+  const { text, mode, field, ...rest } = entry;
+  const isPlain =
+    mode === DEFAULT_MATCH_MODE &&
+    field === DEFAULT_CARD_FIELD &&
+    !Object.keys(rest).length;
+  if (isPlain) return text;
+  return field === DEFAULT_CARD_FIELD
+    ? { ...rest, text, mode }
+    : { ...rest, text, mode, field };
+}
+
+/**
+ * Identity used for de-duplication and removal.
+ * @param {PhraseEntry} entry
+ */
+function phraseEntryKey(entry) {
+  // Regex and rule text is case-sensitive (character classes, AND/OR/NOT keywords).
+  const caseSensitive = entry.mode === "regex" || entry.mode === "expression";
+  const text = caseSensitive ? entry.text : entry.text.toLowerCase();
+  return `${entry.mode}:${entry.field}:${text}`;
+}
+
+/**
+ * De-duplicate phrase entries (same text and mode), keeping the first.
+ * @param {PhraseEntry[]} entries
+ */
+function uniqPhrases(entries) {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    const key = phraseEntryKey(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Regex source for an entry. Not used for substring entries.
+ * @param {PhraseEntry} entry
+ */
+function phraseEntryPattern(entry) {
+  switch (entry.mode) {
+    case "word":
+      // Letters/digits on either side mean we're inside a longer word ("saw" vs "seesaw").
+      return `(?<![\\p{L}\\p{N}])${escapeRegExp(entry.text)}(?![\\p{L}\\p{N}])`;
+    case "wildcard":
+      // "*" = any run of characters, "?" = any single character.
+      return entry.text
+        .split("")
+        .map((ch) => (ch === "*" ? ".*?" : ch === "?" ? "." : escapeRegExp(ch)))
+        .join("");
+    case "regex":
+      return entry.text;
+    default:
+      return escapeRegExp(entry.text);
+  }
+}
+
+/**
+ * Compile an entry into a matcher over lowercased text.
+ * Throws on an invalid regex or rule expression.
+ * @param {PhraseEntry} entry
+ * @returns {{ entry: PhraseEntry, test: (haystackLower: string) => boolean }}
+ */
+function compilePhraseEntry(entry) {
+  if (entry.mode === DEFAULT_MATCH_MODE) {
+    const needle = entry.text.toLowerCase();
+    return { entry, test: (haystackLower) => haystackLower.includes(needle) };
+  }
+  if (entry.mode === "expression") {
+    const ast = parseRuleExpression(entry.text);
+    return {
+      entry,
+      test: (haystackLower) => evaluateRuleExpression(ast, haystackLower),
+    };
+  }
+  const flags = entry.mode === "word" ? "iu" : "i";
+  const re = new RegExp(phraseEntryPattern(entry), flags);
+  return { entry, test: (haystackLower) => re.test(haystackLower) };
+}
+
+/**
+ * @param {PhraseEntry} entry
+ * @returns {string} Error message, or "" if the entry compiles.
+ */
+function validatePhraseEntry(entry) {
+  try {
+    compilePhraseEntry(entry);
+    return "";
+  } catch (err) {
+    const kind = entry.mode === "expression" ? "rule" : "regex";
+    return `Invalid ${kind}: ${err?.message || err}`;
+  }
+}
+
+/**
+ * Text an entry should be matched against, given a card's lowercased fields.
+ * "any" joins every field on separate lines so wildcards and regexes don't
+ * accidentally span two fields.
+ * @param {Record<string, string>} fieldsLower
+ * @param {CardField} field
+ */
+function haystackForField(fieldsLower, field) {
+  if (field === "any") return Object.values(fieldsLower).filter(Boolean).join("\n");
+  return fieldsLower[field] || "";
+}
@@ -0,0 +1,457 @@
+// Element picker.
+// Part of the content script (loaded after content.js); started from the popup with a
+// "phraseFilter:startPicker" message.
+//
+// Lets the user teach the extension a new site without code changes:
+// 1. click one listing card (we walk up to the repeating card element),
+// 2. click the title inside it,
+// 3. preview how many cards/titles match, then save.
+//
+// Selectors are saved per host under SITE_CONFIG_KEY and take priority over the
+// hard-coded maps in content.js.
+
+const PICKER_ID = "phrasefilter-picker";
+const PICKER_BOX_ID = "phrasefilter-picker-box";
+const PICKER_CARD_ATTR = "data-phrasefilter-picker-card";
+const PICKER_TITLE_ATTR = "data-phrasefilter-picker-title";
+
+// Attributes that test/QA tooling tends to keep stable across deploys.
+const STABLE_ATTRS = ["data-testid", "data-test", "data-qa", "data-cy", "itemprop"];
+
+/**
+ * @typedef {Object} PickerState
+ * @property {"card"|"title"|"preview"} step
+ * @property {{ node: Element, selector: string, count: number }[]} cardLevels
+ * @property {number} cardLevelIndex
+ * @property {string} titleSelector
+ * @property {number} titleCount
+ */
+
+/** @type {PickerState|null} */
+let pickerState = null;
+
+function quoteAttrValue(value) {
+  return `"${value.replace(/["\\]/g, "\\$&")}"`;
+}
+
+/**
+ * Skip class names that are generated per build (CSS modules, styled-components,
+ * emotion, hashes) or that reflect transient state.
+ * @param {string} cls
+ */
+function isStableClassName(cls) {
+  if (!/^[a-zA-Z_][\w-]*$/.test(cls)) return false;
+  if (cls.length > 40) return false;
+  if (/^(css|sc|jsx|emotion|styled|svelte)-/.test(cls)) return false;
+  if (/\d{3,}|[a-z][A-Z0-9]{4,}|__[a-zA-Z0-9]{5,}$/.test(cls)) return false;
+  if (/^(is|has)-|(hover|focus|active|selected|open)$/.test(cls)) return false;
+  return true;
+}
+
+/**
+ * Candidate selectors for an element, most specific first.
+ * @param {Element} el
+ * @returns {string[]}
+ */
+function selectorCandidates(el) {
+  const tag = el.tagName.toLowerCase();
+  const out = [];
+
+  for (const attr of STABLE_ATTRS) {
+    const value = el.getAttribute(attr);
+    if (value) out.push(`${tag}[${attr}=${quoteAttrValue(value)}]`);
+  }
+
+  const role = el.getAttribute("role");
+  const ariaLabel = el.getAttribute("aria-label");
+  if (role && ariaLabel) {
+    out.push(`${tag}[role=${quoteAttrValue(role)}][aria-label=${quoteAttrValue(ariaLabel)}]`);
+  }
+
+  const classes = Array.from(el.classList).filter(isStableClassName);
+  if (classes.length > 1) out.push(`${tag}.${classes.join(".")}`);
+  for (const cls of classes) out.push(`${tag}.${cls}`);
+
+  if (role) out.push(`${tag}[role=${quoteAttrValue(role)}]`);
+  out.push(tag);
+
+  return Array.from(new Set(out));
+}
+
+function safeQueryAll(root, selector) {
+  try {
+    return Array.from(root.querySelectorAll(selector));
+  } catch {
+    return [];
+  }
+}
+
+function safeQuery(root, selector) {
+  try {
+    return root.querySelector(selector);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A card selector is usable if it matches this node plus at least one other,
+ * and no match sits inside another (cards don't nest).
+ * @param {Element} node
+ * @param {string} selector
+ */
+function cardSelectorMatches(node, selector) {
+  const matches = safeQueryAll(document, selector);
+  if (matches.length < 2 || !matches.includes(node)) return null;
+  const nested = matches.some((m) => matches.some((o) => o !== m && m.contains(o)));
+  return nested ? null : matches;
+}
+
+/**
+ * True if the node's parent has other children that look the same (tag + stable classes),
+ * i.e. the node is one item in a repeated list.
+ * @param {Element} node
+ */
+function hasSimilarSiblings(node) {
+  const signature = (el) =>
+    `${el.tagName}.${Array.from(el.classList).filter(isStableClassName).sort().join(".")}`;
+  const own = signature(node);
+  const siblings = Array.from(node.parentElement?.children || []);
+  return siblings.filter((s) => s !== node && signature(s) === own).length >= 1;
+}
+
+/**
+ * Walk up from the clicked element collecting levels that could be "the card".
+ * @param {Element} clicked
+ */
+function findCardLevels(clicked) {
+  const levels = [];
+  for (let node = clicked; node && node !== document.body; node = node.parentElement) {
+    for (const selector of selectorCandidates(node)) {
+      const matches = cardSelectorMatches(node, selector);
+      if (!matches) continue;
+      levels.push({ node, selector, count: matches.length });
+      break;
+    }
+  }
+  return levels;
+}
+
+/**
+ * Best selector (relative to the card) for the clicked title element, judged by
+ * how many of the matched cards it finds non-empty text in.
+ * @param {Element} card
+ * @param {Element} clicked
+ * @param {Element[]} cards
+ */
+function findTitleSelector(card, clicked, cards) {
+  const candidates = [];
+  for (const selector of selectorCandidates(clicked)) {
+    candidates.push(selector);
+    const parent = clicked.parentElement;
+    if (parent && parent !== card) {
+      for (const parentSelector of selectorCandidates(parent).slice(0, 2)) {
+        candidates.push(`${parentSelector} > ${selector}`);
+      }
+    }
+  }
+
+  let best = null;
+  for (const selector of candidates) {
+    if (safeQuery(card, selector) !== clicked) continue;
+    const count = cards.filter((c) => (safeQuery(c, selector)?.textContent || "").trim()).length;
+    if (!best || count > best.count) best = { selector, count };
+  }
+  return best;
+}
+
+function injectPickerCssOnce() {
+  const id = "phrasefilter-picker-style";
+  if (document.getElementById(id)) return;
+
+  const style = document.createElement("style");
+  style.id = id;
+  style.textContent = `
+    #${PICKER_ID} {
+      position: fixed !important;
+      top: 12px !important;
+      left: 50% !important;
+      transform: translateX(-50%) !important;
+      z-index: 2147483647 !important;
+      display: flex !important;
+      align-items: center !important;
+      gap: 8px !important;
+      max-width: calc(100vw - 24px) !important;
+      padding: 8px 10px !important;
+      border-radius: 10px !important;
+      font: 13px/1.4 system-ui, sans-serif !important;
+      color: #111827 !important;
+      background: #ffffff !important;
+      border: 1px solid #e5e7eb !important;
+      box-shadow: 0 6px 20px rgba(0, 0, 0, 0.2) !important;
+    }
+
+    #${PICKER_ID} button {
+      padding: 4px 10px !important;
+      border: 1px solid #e5e7eb !important;
+      border-radius: 8px !important;
+      font: inherit !important;
+      color: #111827 !important;
+      background: #f9fafb !important;
+      cursor: pointer !important;
+    }
+
+    #${PICKER_ID} button[hidden] {
+      display: none !important;
+    }
+
+    #${PICKER_ID} code {
+      max-width: 260px !important;
+      overflow: hidden !important;
+      text-overflow: ellipsis !important;
+      white-space: nowrap !important;
+      font: 11px/1.4 ui-monospace, monospace !important;
+      color: #6b7280 !important;
+    }
+
+    #${PICKER_BOX_ID} {
+      position: fixed !important;
+      z-index: 2147483646 !important;
+      pointer-events: none !important;
+      border: 2px solid #2563eb !important;
+      background: rgba(37, 99, 235, 0.08) !important;
+    }
+
+    [${PICKER_CARD_ATTR}] {
+      outline: 2px dashed #2563eb !important;
+      outline-offset: 2px !important;
+    }
+
+    [${PICKER_TITLE_ATTR}] {
+      background: rgba(245, 158, 11, 0.3) !important;
+    }
+  `.trim();
+  document.head.appendChild(style);
+}
+
+function clearPickerMarks() {
+  for (const el of document.querySelectorAll(`[${PICKER_CARD_ATTR}]`)) {
+    el.removeAttribute(PICKER_CARD_ATTR);
+  }
+  for (const el of document.querySelectorAll(`[${PICKER_TITLE_ATTR}]`)) {
+    el.removeAttribute(PICKER_TITLE_ATTR);
+  }
+}
+
+function currentCardLevel() {
+  return pickerState?.cardLevels[pickerState.cardLevelIndex] || null;
+}
+
+/**
+ * Mark the matched cards (and titles, once picked) so the user can see what will be saved.
+ */
+function renderPickerPreview() {
+  clearPickerMarks();
+  const level = currentCardLevel();
+  if (!level) return;
+
+  for (const card of safeQueryAll(document, level.selector)) {
+    card.setAttribute(PICKER_CARD_ATTR, "1");
+    if (!pickerState.titleSelector) continue;
+    safeQuery(card, pickerState.titleSelector)?.setAttribute(PICKER_TITLE_ATTR, "1");
+  }
+}
+
+/**
+ * Render the toolbar for the current step.
+ */
+function renderPickerToolbar() {
+  const toolbar = getPickerToolbar();
+  if (!toolbar || !pickerState) return;
+
+  const [label, code, wider, narrower, save, retry] = toolbar.querySelectorAll(
+    "span, code, button",
+  );
+  const level = currentCardLevel();
+
+  if (pickerState.step === "card") {
+    label.textContent = "Click one listing card";
+    code.textContent = "";
+  } else if (pickerState.step === "title") {
+    label.textContent = `${level.count} cards match. Now click the title inside one`;
+    code.textContent = level.selector;
+  } else {
+    label.textContent = `${level.count} cards, ${pickerState.titleCount} titles found`;
+    code.textContent = `${level.selector} → ${pickerState.titleSelector}`;
+  }
+
+  const choosingCard = pickerState.step === "title";
+  wider.hidden = !choosingCard || pickerState.cardLevelIndex >= pickerState.cardLevels.length - 1;
+  narrower.hidden = !choosingCard || pickerState.cardLevelIndex <= 0;
+  save.hidden = pickerState.step !== "preview";
+  retry.hidden = pickerState.step === "card";
+}
+
+function moveHoverBox(target) {
+  const box = document.getElementById(PICKER_BOX_ID);
+  if (!box) return;
+  if (!target || target.closest(`#${PICKER_ID}`)) {
+    box.style.display = "none";
+    return;
+  }
+  const rect = target.getBoundingClientRect();
+  box.style.display = "block";
+  box.style.top = `${rect.top}px`;
+  box.style.left = `${rect.left}px`;
+  box.style.width = `${rect.width}px`;
+  box.style.height = `${rect.height}px`;
+}
+
+function onPickerMouseMove(e) {
+  moveHoverBox(/** @type {Element} */ (e.target));
+}
+
+/**
+ * Swallow page clicks while picking so links and React handlers don't fire.
+ * @param {MouseEvent} e
+ */
+function onPickerClick(e) {
+  const target = /** @type {Element} */ (e.target);
+  if (target.closest(`#${PICKER_ID}`)) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.type !== "click" || !pickerState) return;
+
+  if (pickerState.step === "card") {
+    const levels = findCardLevels(target);
+    if (!levels.length) {
+      getPickerToolbar().querySelector("span").textContent =
+        "No repeating cards found there; try clicking another part of a listing";
+      return;
+    }
+    // Default to the first level that is one of several look-alike siblings.
+    const listIndex = levels.findIndex((l) => hasSimilarSiblings(l.node));
+    pickerState.cardLevels = levels;
+    pickerState.cardLevelIndex = Math.max(0, listIndex);
+    pickerState.step = "title";
+  } else if (pickerState.step === "title") {
+    const level = currentCardLevel();
+    const cards = safeQueryAll(document, level.selector);
+    const card = cards.find((c) => c.contains(target));
+    if (!card || card === target) {
+      getPickerToolbar().querySelector("span").textContent = "Click the title inside one of the outlined cards";
+      return;
+    }
+    const best = findTitleSelector(card, target, cards);
+    if (!best) return;
+    pickerState.titleSelector = best.selector;
+    pickerState.titleCount = best.count;
+    pickerState.step = "preview";
+  }
+
+  renderPickerPreview();
+  renderPickerToolbar();
+}
+
+function onPickerKeyDown(e) {
+  if (e.key === "Escape") stopElementPicker();
+}
+
+function getPickerToolbar() {
+  return document.getElementById(PICKER_ID);
+}
+
+function changeCardLevel(delta) {
+  if (!pickerState) return;
+  const next = pickerState.cardLevelIndex + delta;
+  if (next < 0 || next >= pickerState.cardLevels.length) return;
+  pickerState.cardLevelIndex = next;
+  renderPickerPreview();
+  renderPickerToolbar();
+}
+
+function restartElementPicker() {
+  pickerState = {
+    step: "card",
+    cardLevels: [],
+    cardLevelIndex: 0,
+    titleSelector: "",
+    titleCount: 0,
+  };
+  renderPickerPreview();
+  renderPickerToolbar();
+}
+
+async function savePickedSelectors() {
+  const level = currentCardLevel();
+  if (!level || !pickerState.titleSelector) return;
+
+  const result = await chrome.storage.sync.get(SITE_CONFIG_KEY);
+  const configByHost = result?.[SITE_CONFIG_KEY] || {};
+  configByHost[currentHost] = {
+    itemSelector: level.selector,
+    titleSelector: pickerState.titleSelector,
+  };
+  await chrome.storage.sync.set({ [SITE_CONFIG_KEY]: configByHost });
+
+  log("Saved picked selectors", configByHost[currentHost]);
+  stopElementPicker();
+}
+
+function stopElementPicker() {
+  pickerState = null;
+  clearPickerMarks();
+  document.getElementById(PICKER_ID)?.remove();
+  document.getElementById(PICKER_BOX_ID)?.remove();
+  for (const type of ["click", "mousedown", "mouseup", "pointerdown", "pointerup"]) {
+    window.removeEventListener(type, onPickerClick, true);
+  }
+  window.removeEventListener("mousemove", onPickerMouseMove, true);
+  window.removeEventListener("keydown", onPickerKeyDown, true);
+}
+
+/**
+ * Start picking. Safe to call again while already running (restarts).
+ */
+function startElementPicker() {
+  stopElementPicker();
+  injectPickerCssOnce();
+
+  const toolbar = document.createElement("div");
+  toolbar.id = PICKER_ID;
+
+  const label = document.createElement("span");
+  const code = document.createElement("code");
+  const makeButton = (text, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = text;
+    btn.addEventListener("click", onClick);
+    return btn;
+  };
+
+  toolbar.append(
+    label,
+    code,
+    makeButton("Wider", () => changeCardLevel(1)),
+    makeButton("Narrower", () => changeCardLevel(-1)),
+    makeButton("Save", () => savePickedSelectors()),
+    makeButton("Retry", () => restartElementPicker()),
+    makeButton("Cancel", () => stopElementPicker()),
+  );
+
+  const box = document.createElement("div");
+  box.id = PICKER_BOX_ID;
+  box.style.display = "none";
+
+  document.body.append(toolbar, box);
+
+  for (const type of ["click", "mousedown", "mouseup", "pointerdown", "pointerup"]) {
+    window.addEventListener(type, onPickerClick, true);
+  }
+  window.addEventListener("mousemove", onPickerMouseMove, true);
+  window.addEventListener("keydown", onPickerKeyDown, true);
+
+  restartElementPicker();
+}
@@ -0,0 +1,199 @@
+// Pickup location filter.
+// Shared by the content script (hides cards picked up outside the site's filter), the
+// popup (editing the filter) and the background worker (distances). Loaded after
+// phrases.js, whose whole-word matching it uses.
+//
+// Stored per site in the rules, as `pickupFilter`:
+//   { locations: ["Cincinnati", "Dayton", "OH"], zip: "45202", radiusMiles: 40 }
+// A card is kept when its location (the adapter's `location` field) contains one of the
+// locations as whole words, or is within radiusMiles of the ZIP code. Cards without a
+// location, or whose distance isn't known yet, are kept.
+//
+// Distances use a bundled offline table of US ZIP code centroids (data/zip-centroids.csv,
+// see data/zip-centroids.LICENSE), so no location leaves the browser. Only the background
+// worker and the popup load it. Rows are zip,lat,lon[,city[,state]], sorted by state and
+// city; a row without a city or state has the same as the row above it, so each is
+// written once. Coordinates have one decimal (about 5 miles): card locations are mostly
+// city names, placed at the middle of the city's ZIP codes, which is rougher than that.
+
+const ZIP_CENTROIDS_PATH = "data/zip-centroids.csv";
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * @typedef {Object} PickupFilter
+ * @property {string[]} locations - Allowed locations (city, state, warehouse name).
+ * @property {string} zip - Five-digit ZIP code the radius is measured from; "" for none.
+ * @property {number|null} radiusMiles
+ */
+
+/**
+ * @param {any} raw - The stored pickupFilter.
+ * @returns {PickupFilter|null} null when it wouldn't filter anything.
+ */
+function normalizePickupFilter(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const locations = Array.isArray(raw.locations)
+    ? [...new Set(raw.locations.map((l) => String(l).trim()).filter(Boolean))]
+    : [];
+  const zip = /^\d{5}$/.test(raw.zip) ? raw.zip : "";
+  const radius = Number(raw.radiusMiles);
+  const radiusMiles = zip && radius > 0 ? radius : null;
+  if (!locations.length && !radiusMiles) return null;
+  return { locations, zip: radiusMiles ? zip : "", radiusMiles };
+}
+
+/**
+ * Whole-word matchers for the allowed locations ("OH" matches "Columbus, OH" but not
+ * "Ohio Valley"). Compile once per rules change, like the phrases.
+ * @param {string[]} locations
+ * @returns {ReturnType<typeof compilePhraseEntry>[]}
+ */
+function compileAllowedLocations(locations) {
+  return locations.map((text) => compilePhraseEntry({ text, mode: "word" }));
+}
+
+/**
+ * Whether a location contains one of the allowed locations.
+ * @param {string} location
+ * @param {ReturnType<typeof compileAllowedLocations>} matchers
+ */
+function matchesAllowedLocation(location, matchers) {
+  const lower = location.toLowerCase();
+  return matchers.some((matcher) => matcher.test(lower));
+}
+
+/**
+ * Best guess at where a card's location text is: a ZIP code if it has one, else a city
+ * (the text before the first comma or dash) and maybe a two-letter state after it.
+ * "Columbus, OH" → { city: "columbus", state: "oh" }; "Cincinnati - Broadwell" →
+ * { city: "cincinnati" }.
+ * @param {string} text
+ * @returns {{ zip?: string, city?: string, state?: string }}
+ */
+function parsePickupLocation(text) {
+  const zip = text.match(/\b(\d{5})(-\d{4})?\b/)?.[1];
+  if (zip) return { zip };
+
+  const [city, rest = ""] = text
+    .toLowerCase()
+    .split(/\s*(?:,|\s[-–—|(]\s*)\s*/)
+    .map((part) => part.trim());
+  const state = rest.match(/^([a-z]{2})\b/)?.[1];
+  return city ? { city, state } : {};
+}
+
+/**
+ * Great-circle distance.
+ * @param {[number, number]} a - [lat, lon]
+ * @param {[number, number]} b - [lat, lon]
+ */
+function milesBetween(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b[0] - a[0]);
+  const dLon = rad(b[1] - a[1]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a[0])) * Math.cos(rad(b[0])) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * @typedef {Object} ZipCentroids
+ * @property {Map<string, [number, number]>} zips
+ * @property {Map<string, Array<{ state: string, at: [number, number] }>>} cities - By
+ *   lowercased city name; the center of the city's ZIP codes, per state.
+ */
+
+let zipCentroids = null;
+
+/**
+ * @returns {Promise<ZipCentroids>}
+ */
+function loadZipCentroids() {
+  zipCentroids ??= (async () => {
+    const response = await fetch(chrome.runtime.getURL(ZIP_CENTROIDS_PATH));
+    const text = await response.text();
+
+    const zips = new Map();
+    const sums = new Map();
+    let rowCity = "";
+    let rowState = "";
+    for (const line of text.split("\n")) {
+      const [zip, lat, lon, city, state] = line.split(",");
+      if (!lon) continue;
+      rowCity = city || rowCity;
+      rowState = state || rowState;
+      const at = [Number(lat), Number(lon)];
+      zips.set(zip, at);
+
+      const key = `${rowCity.toLowerCase()}|${rowState.toLowerCase()}`;
+      const sum = sums.get(key) || { lat: 0, lon: 0, n: 0 };
+      sum.lat += at[0];
+      sum.lon += at[1];
+      sum.n++;
+      sums.set(key, sum);
+    }
+
+    const cities = new Map();
+    for (const [key, { lat, lon, n }] of sums) {
+      const [city, state] = key.split("|");
+      if (!cities.has(city)) cities.set(city, []);
+      cities.get(city).push({ state, at: [lat / n, lon / n] });
+    }
+    return { zips, cities };
+  })().catch((err) => {
+    zipCentroids = null;
+    throw err;
+  });
+  return zipCentroids;
+}
+
+/**
+ * Where a location is. A city without a (known) state is taken to be the one of that
+ * name nearest the origin: there's a Dayton in Ohio, Kentucky and Texas, and the one
+ * down the road is the likely warehouse.
+ * @param {ZipCentroids} table
+ * @param {string} text
+ * @param {[number, number]} origin
+ * @returns {[number, number]|null}
+ */
+function locatePickup(table, text, origin) {
+  const { zip, city, state } = parsePickupLocation(text);
+  if (zip) return table.zips.get(zip) || null;
+
+  const places = table.cities.get(city) || [];
+  const inState = places.find((p) => p.state === state);
+  if (inState) return inState.at;
+  let nearest = null;
+  for (const place of places) {
+    if (!nearest || milesBetween(origin, place.at) < milesBetween(origin, nearest)) {
+      nearest = place.at;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Miles from a ZIP code to each location.
+ * @param {string} zip
+ * @param {string[]} locations
+ * @returns {Promise<Record<string, number|null>>} null for locations we can't place
+ *   (and for all of them if the ZIP code isn't in the table).
+ */
+async function pickupDistances(zip, locations) {
+  const table = await loadZipCentroids();
+  const origin = table.zips.get(zip);
+  const distances = {};
+  for (const location of locations) {
+    const at = origin && locatePickup(table, location, origin);
+    distances[location] = at ? Math.round(milesBetween(origin, at)) : null;
+  }
+  return distances;
+}
+
+/**
+ * @param {string} zip
+ */
+async function isKnownZip(zip) {
+  return (await loadZipCentroids()).zips.has(zip);
+}
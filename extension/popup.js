@@ -1,16 +1,73 @@
-const STORAGE_KEY = "phraseFilterRulesByHost";
+const SITE_CONFIG_KEY = "phraseFilterSiteConfigByHost";
 
 function normalizePhrase(s) {
   return (s || "").trim();
 }
 
-function uniq(arr) {
-  return Array.from(new Set(arr));
+function modeSelectIdFor(inputId) {
+  return inputId.replace("Input", "Mode");
+}
+
+function fieldSelectIdFor(inputId) {
+  return inputId.replace("Input", "Field");
+}
+
+function maxPriceInputIdFor(inputId) {
+  return inputId.replace("Input", "MaxPrice");
+}
+
+/**
+ * Read the phrase + match mode + target field (+ price ceiling, include rows only)
+ * currently entered in an add-row.
+ * @param {string} inputId
+ * @returns {PhraseEntry|null}
+ */
+function readPhraseEntryInput(inputId) {
+  const input = document.getElementById(inputId);
+  const modeSelect = document.getElementById(modeSelectIdFor(inputId));
+  const fieldSelect = document.getElementById(fieldSelectIdFor(inputId));
+  const maxPriceInput = document.getElementById(maxPriceInputIdFor(inputId));
+  return normalizePhraseEntry({
+    text: normalizePhrase(input?.value),
+    mode: modeSelect?.value,
+    field: fieldSelect?.value,
+    maxPrice: maxPriceInput?.value,
+  });
+}
+
+/**
+ * Flag invalid regexes while typing.
+ * @param {string} inputId
+ * @returns {string} Error message, or "".
+ */
+function validatePhraseInput(inputId) {
+  const input = document.getElementById(inputId);
+  if (!input) return "";
+
+  const entry = readPhraseEntryInput(inputId);
+  const error = entry ? validatePhraseEntry(entry) : "";
+  input.classList.toggle("invalid", Boolean(error));
+  input.title = error;
+  return error;
 }
 
 function setActiveTab(tabId) {
-  const tabIds = ["tabMain", "tabInterested", "tabNotInterested"];
-  const panelIds = ["panelMain", "panelInterested", "panelNotInterested"];
+  const tabIds = [
+    "tabMain",
+    "tabInterested",
+    "tabNotInterested",
+    "tabWatchlist",
+    "tabFees",
+    "tabBackup",
+  ];
+  const panelIds = [
+    "panelMain",
+    "panelInterested",
+    "panelNotInterested",
+    "panelWatchlist",
+    "panelFees",
+    "panelBackup",
+  ];
 
   for (const id of tabIds) {
     const el = document.getElementById(id);
@@ -26,11 +83,16 @@ function setActiveTab(tabId) {
   }
 }
 
-async function getActiveTabHost() {
+async function getActiveTab() {
   const [tab] = await chrome.tabs.query({
     active: true,
     lastFocusedWindow: true,
   });
+  return tab || null;
+}
+
+async function getActiveTabHost() {
+  const tab = await getActiveTab();
   const url = tab?.url || "";
   try {
     return new URL(url).host;
@@ -39,21 +101,40 @@ async function getActiveTabHost() {
   }
 }
 
-async function loadAllRules() {
-  const result = await chrome.storage.sync.get(STORAGE_KEY);
-  const rulesByHost = result[STORAGE_KEY];
-  if (rulesByHost && typeof rulesByHost === "object") return rulesByHost;
-  return {};
+/**
+ * Persistent notice above the footer for storage trouble; "" hides it.
+ * @param {string} text
+ * @param {boolean} [isError]
+ */
+function showStorageNotice(text, isError = false) {
+  const el = document.getElementById("storageNotice");
+  if (!el) return;
+  el.textContent = text || "";
+  el.hidden = !text;
+  el.classList.toggle("error", isError);
 }
 
-async function saveAllRules(rulesByHost) {
-  await chrome.storage.sync.set({ [STORAGE_KEY]: rulesByHost });
+/**
+ * Save rules (see rulesStorage.js), reporting failures in the popup instead of
+ * letting them disappear into the console.
+ * @param {Record<string, Object>} rulesByHost
+ * @returns {Promise<boolean>} false if the write failed.
+ */
+async function saveRules(rulesByHost) {
+  try {
+    await saveAllRules(rulesByHost);
+    showStorageNotice("");
+    return true;
+  } catch (err) {
+    showStorageNotice(`Not saved. ${err?.message || err}`, true);
+    setStatus("Save failed");
+    return false;
+  }
 }
 
 function defaultSiteRules() {
   return {
-    includePhrases: [],
-    excludePhrases: [],
+    groups: [],
   };
 }
 
@@ -63,75 +144,405 @@ function setStatus(text) {
   el.textContent = text || "";
 }
 
-function renderPhraseList({ ul, phrases, onRemove }) {
+function groupSelectIdFor(inputId) {
+  return inputId.replace("Input", "Group");
+}
+
+/**
+ * Storage host for a tier: the tab's rules domain, or the global rules.
+ * @param {string} host - The active tab's host.
+ * @param {"global"|"site"} tier
+ */
+function rulesKeyFor(host, tier) {
+  return tier === "global" ? GLOBAL_RULES_HOST : rulesDomainForHost(host);
+}
+
+/**
+ * Load one tier's rules in group form, let `mutate` change them, and save.
+ * @param {string} host - The active tab's host.
+ * @param {(rules: { groups: PhraseGroup[] }) => void} mutate
+ * @param {"global"|"site"} [tier]
+ * @returns {Promise<boolean>} false if the write failed.
+ */
+async function updateHostRules(host, mutate, tier = "site") {
+  const key = rulesKeyFor(host, tier);
+  const rulesByHost = await loadAllRules();
+  const rules = toGroupedSiteRules(rulesByHost[key] || defaultSiteRules());
+  mutate(rules);
+  rulesByHost[key] = rules;
+  return saveRules(rulesByHost);
+}
+
+
+/**
+ * @param {{ groups: PhraseGroup[] }} rules
+ * @param {string} groupId
+ */
+function findPhraseGroup(rules, groupId) {
+  return rules.groups.find((g) => g.id === groupId) || null;
+}
+
+/**
+ * Phrases of one list ("includePhrases" / "excludePhrases"), under a heading per group
+ * naming its tier. Phrases in switched-off groups, and global phrases switched off on
+ * this site, are shown dimmed; global phrases get an "Off here" / "On here" toggle.
+ */
+function renderPhraseList({
+  ul,
+  groups,
+  listKey,
+  disabledGlobal,
+  onRemove,
+  onSetMaxPrice,
+  onToggleHere,
+}) {
   ul.innerHTML = "";
-  if (!phrases.length) return;
 
-  for (const phrase of phrases) {
+  for (const group of groups) {
+    const phrases = normalizePhraseEntries(group[listKey]);
+    if (!phrases.length) continue;
+
+    const heading = document.createElement("li");
+    heading.className = "group-heading";
+    heading.textContent = phraseGroupLabel(group);
+    ul.appendChild(heading);
+
+    for (const entry of phrases) {
+      const isGlobal = group.tier === "global";
+      const isOffHere =
+        isGlobal && disabledGlobal.has(globalPhraseKey(listKey, entry));
+      const li = document.createElement("li");
+      li.classList.toggle("disabled", !group.enabled || isOffHere);
+
+      const span = document.createElement("span");
+      span.className = "phrase";
+      span.textContent = entry.text;
+      span.title = entry.text;
+      li.appendChild(span);
+
+      // Filled in by renderPageStats.
+      const hits = document.createElement("span");
+      hits.className = "hit-count";
+      hits.dataset.hitKey = phraseHitKey(group, listKey, entry);
+      hits.hidden = true;
+      li.appendChild(hits);
+
+      const tags = [];
+      if (isGlobal) tags.push(isOffHere ? "all sites, off here" : "all sites");
+      if (entry.mode !== DEFAULT_MATCH_MODE) tags.push(MATCH_MODE_LABELS[entry.mode]);
+      if (entry.field !== DEFAULT_CARD_FIELD) tags.push(CARD_FIELD_LABELS[entry.field]);
+      for (const text of tags) {
+        const tag = document.createElement("span");
+        tag.className = "mode-tag";
+        tag.textContent = text;
+        li.appendChild(tag);
+      }
+
+      if (onSetMaxPrice) {
+        const maxPrice = document.createElement("input");
+        maxPrice.type = "number";
+        maxPrice.min = "0";
+        maxPrice.step = "1";
+        maxPrice.className = "max-price";
+        maxPrice.placeholder = "Max $";
+        maxPrice.value = entry.maxPrice ?? "";
+        maxPrice.setAttribute("aria-label", `Max total price for ${entry.text}`);
+        maxPrice.title = "Most you'd pay in total (fees and tax included); empty for no limit";
+        maxPrice.addEventListener("change", () =>
+          onSetMaxPrice(group, entry, parseMaxPrice(maxPrice.value)),
+        );
+        li.appendChild(maxPrice);
+      }
+
+      if (isGlobal) {
+        const toggle = document.createElement("button");
+        toggle.type = "button";
+        toggle.textContent = isOffHere ? "On here" : "Off here";
+        toggle.title = isOffHere
+          ? "Use this phrase on this site again"
+          : "Stop using this phrase on this site only";
+        toggle.addEventListener("click", () => onToggleHere(group, entry, isOffHere));
+        li.appendChild(toggle);
+      }
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = "Remove";
+      btn.title = isGlobal ? "Remove from every site" : "";
+      btn.addEventListener("click", () => onRemove(group, entry));
+
+      li.appendChild(btn);
+      ul.appendChild(li);
+    }
+  }
+}
+
+/**
+ * Fill every add-row's group picker (see phraseGroupTargets), keeping the current
+ * choice where possible.
+ * @param {PhraseGroup[]} groups - Both tiers, tagged.
+ */
+function renderGroupSelects(groups) {
+  const options = phraseGroupTargets(groups);
+
+  for (const select of document.querySelectorAll("select.group-target")) {
+    const previous = select.value;
+    select.innerHTML = "";
+    for (const { value, label } of options) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    if (options.some((o) => o.value === previous)) select.value = previous;
+  }
+}
+
+/**
+ * Groups card: enable switch, phrase counts and Delete for each group.
+ * @param {{ host: string, groups: PhraseGroup[] }} args
+ */
+function renderGroupList({ host, groups }) {
+  const ul = document.getElementById("groupList");
+  if (!ul) return;
+  ul.innerHTML = "";
+
+  for (const group of groups) {
     const li = document.createElement("li");
+    li.className = "group-item";
+    li.classList.toggle("disabled", !group.enabled);
+
+    const label = document.createElement("label");
+    label.className = "group-toggle";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = group.enabled;
+    checkbox.addEventListener("change", () =>
+      setGroupEnabled({
+        host,
+        tier: group.tier,
+        groupId: group.id,
+        enabled: checkbox.checked,
+      }),
+    );
+    const name = document.createElement("span");
+    name.className = "phrase";
+    name.textContent = group.name;
+    name.title = group.name;
+    label.append(checkbox, name);
 
-    const span = document.createElement("span");
-    span.className = "phrase";
-    span.textContent = phrase;
-    span.title = phrase;
+    const counts = document.createElement("span");
+    counts.className = "meta";
+    counts.textContent = `${RULE_TIER_LABELS[group.tier]} · ${group.includePhrases.length} in · ${group.excludePhrases.length} out`;
 
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.textContent = "Remove";
-    btn.addEventListener("click", () => onRemove(phrase));
+    const del = document.createElement("button");
+    del.type = "button";
+    del.textContent = "Delete";
+    del.addEventListener("click", () => {
+      const isEmpty = !group.includePhrases.length && !group.excludePhrases.length;
+      // Deleting a group deletes its phrases; ask for a second click unless it's empty.
+      if (!isEmpty && del.dataset.armed !== "1") {
+        del.dataset.armed = "1";
+        del.textContent = "Sure?";
+        del.classList.add("danger");
+        return;
+      }
+      deleteGroup({ host, tier: group.tier, groupId: group.id });
+    });
 
-    li.appendChild(span);
-    li.appendChild(btn);
+    li.append(label, counts, del);
     ul.appendChild(li);
   }
 }
 
 async function refreshUI(host) {
+  const domain = rulesDomainForHost(host);
   const hostLabel = document.getElementById("hostLabel");
   hostLabel.textContent = host || "(no active tab)";
-  hostLabel.title = host || "";
+  hostLabel.title = domain ? `Site rules apply to ${domain} and its subdomains` : "";
 
   const rulesByHost = await loadAllRules();
-  const siteRules = rulesByHost[host] || defaultSiteRules();
+  const siteRules = rulesByHost[domain] || defaultSiteRules();
+  // Unlike resolveSiteRules, keep global phrases that are off here so they can be
+  // switched back on.
+  const groups = [
+    ...getPhraseGroups(rulesByHost[GLOBAL_RULES_HOST]).map((g) => ({
+      ...g,
+      tier: "global",
+    })),
+    ...getPhraseGroups(siteRules).map((g) => ({ ...g, tier: "site" })),
+  ];
+  const disabledGlobal = new Set(siteRules.disabledGlobalPhrases || []);
+  const onToggleHere = (listKey) => (group, entry, enabled) =>
+    setGlobalPhraseHere({ host, listKey, entry, enabled });
+
+  renderGroupSelects(groups);
+  renderGroupList({ host, groups });
 
   renderPhraseList({
     ul: document.getElementById("includeList"),
-    phrases: siteRules.includePhrases || [],
-    onRemove: async (phrase) => {
-      const all = await loadAllRules();
-      const current = all[host] || defaultSiteRules();
-      current.includePhrases = (current.includePhrases || []).filter(
-        (p) => p !== phrase,
-      );
-      all[host] = current;
-      await saveAllRules(all);
-      setStatus("Updated include list");
-      await refreshUI(host);
-    },
+    groups,
+    listKey: "includePhrases",
+    disabledGlobal,
+    onRemove: (group, entry) =>
+      removePhrase({
+        host,
+        tier: group.tier,
+        groupId: group.id,
+        listKey: "includePhrases",
+        entry,
+      }),
+    onSetMaxPrice: (group, entry, maxPrice) =>
+      setPhraseMaxPrice({ host, tier: group.tier, groupId: group.id, entry, maxPrice }),
+    onToggleHere: onToggleHere("includePhrases"),
   });
 
   renderPhraseList({
     ul: document.getElementById("excludeList"),
-    phrases: siteRules.excludePhrases || [],
-    onRemove: async (phrase) => {
-      const all = await loadAllRules();
-      const current = all[host] || defaultSiteRules();
-      current.excludePhrases = (current.excludePhrases || []).filter(
-        (p) => p !== phrase,
-      );
-      all[host] = current;
-      await saveAllRules(all);
-      setStatus("Updated exclude list");
-      await refreshUI(host);
-    },
+    groups,
+    listKey: "excludePhrases",
+    disabledGlobal,
+    onRemove: (group, entry) =>
+      removePhrase({
+        host,
+        tier: group.tier,
+        groupId: group.id,
+        listKey: "excludePhrases",
+        entry,
+      }),
+    onToggleHere: onToggleHere("excludePhrases"),
   });
 
-  // const includeCount = (siteRules.includePhrases || []).length;
-  // const excludeCount = (siteRules.excludePhrases || []).length;
-  // if (host)
-  //   setStatus(
-  //     `Saved for ${host}: ${includeCount} include, ${excludeCount} exclude`,
-  //   );
+  const displaySelect = document.getElementById("excludeDisplaySelect");
+  if (displaySelect) displaySelect.value = siteRules.excludeDisplay || "overlay";
+  const sortSelect = document.getElementById("sortOrderSelect");
+  if (sortSelect) sortSelect.value = siteRules.sortOrder || "site";
+  const dimSeenCheckbox = document.getElementById("dimSeenCheckbox");
+  if (dimSeenCheckbox) dimSeenCheckbox.checked = Boolean(siteRules.dimSeen);
+  const minDiscountInput = document.getElementById("minDiscountInput");
+  if (minDiscountInput && document.activeElement !== minDiscountInput) {
+    minDiscountInput.value = siteRules.minDiscount ?? "";
+  }
+  renderPickupFilter(normalizePickupFilter(siteRules.pickupFilter));
+
+  if (domain && (await hostRulesArea(domain)) === "local") {
+    showStorageNotice(
+      `Rules for ${domain} are too big for Chrome sync, so they're saved on this computer only.`,
+    );
+  }
+
+  renderPageStats();
+}
+
+/**
+ * What rules are doing on the active tab (see collectPageStats in content.js); null
+ * until its content script answers or reports.
+ * @type {{ seen: number, highlighted: number, excluded: number, phraseHits: Record<string, number> }|null}
+ */
+let pageStats = null;
+
+/**
+ * Ask the tab's content script for its current counts.
+ * @param {chrome.tabs.Tab|null} tab
+ */
+async function loadPageStats(tab) {
+  if (tab?.id === undefined) return null;
+  try {
+    const stats = await chrome.tabs.sendMessage(tab.id, {
+      type: "phraseFilter:getPageStats",
+    });
+    return stats || null;
+  } catch {
+    // No content script on this page (not a supported site, or not set up yet).
+    return null;
+  }
+}
+
+/**
+ * The page summary under the header and each phrase's hit count.
+ */
+function renderPageStats() {
+  const summary = document.getElementById("pageStats");
+  if (summary) {
+    summary.hidden = !pageStats;
+    summary.textContent = pageStats
+      ? `On this page: ${pageStats.seen} items · ${pageStats.highlighted} highlighted · ${pageStats.excluded} hidden`
+      : "";
+  }
+
+  for (const tag of document.querySelectorAll(".hit-count[data-hit-key]")) {
+    const hits = pageStats?.phraseHits?.[tag.dataset.hitKey] || 0;
+    tag.hidden = !pageStats;
+    tag.textContent = String(hits);
+    tag.classList.toggle("zero", !hits);
+    tag.title = `Decides ${hits} item${hits === 1 ? "" : "s"} on this page`;
+  }
+}
+
+async function removePhrase({ host, tier, groupId, listKey, entry }) {
+  const key = phraseEntryKey(entry);
+  const saved = await updateHostRules(
+    host,
+    (rules) => {
+      const group = findPhraseGroup(rules, groupId);
+      if (!group) return;
+      group[listKey] = group[listKey].filter((raw) => {
+        const e = normalizePhraseEntry(raw);
+        return !e || phraseEntryKey(e) !== key;
+      });
+    },
+    tier,
+  );
+  if (!saved) return;
+  setStatus(
+    listKey === "includePhrases" ? "Updated include list" : "Updated exclude list",
+  );
+  await refreshUI(host);
+}
+
+async function setPhraseMaxPrice({ host, tier, groupId, entry, maxPrice }) {
+  const key = phraseEntryKey(entry);
+  const saved = await updateHostRules(
+    host,
+    (rules) => {
+      const group = findPhraseGroup(rules, groupId);
+      if (!group) return;
+      group.includePhrases = normalizePhraseEntries(group.includePhrases)
+        .map((e) => {
+          if (phraseEntryKey(e) !== key) return e;
+          const { maxPrice: _old, ...rest } = e;
+          return maxPrice === null ? rest : { ...rest, maxPrice };
+        })
+        .map(toStoredPhrase);
+    },
+    tier,
+  );
+  if (!saved) return;
+  setStatus(
+    maxPrice === null
+      ? `Removed max price for “${entry.text}”`
+      : `Max ${formatMoney(maxPrice)} for “${entry.text}”`,
+  );
+  await refreshUI(host);
+}
+
+/**
+ * Switch one global phrase off (or back on) for the active tab's site only.
+ */
+async function setGlobalPhraseHere({ host, listKey, entry, enabled }) {
+  const key = globalPhraseKey(listKey, entry);
+  const saved = await updateHostRules(host, (rules) => {
+    const disabled = new Set(rules.disabledGlobalPhrases || []);
+    if (enabled) disabled.delete(key);
+    else disabled.add(key);
+    rules.disabledGlobalPhrases = [...disabled];
+    if (!disabled.size) delete rules.disabledGlobalPhrases;
+  });
+  if (!saved) return;
+  setStatus(
+    `“${entry.text}” ${enabled ? "back on" : "off"} for ${rulesDomainForHost(host)}`,
+  );
+  await refreshUI(host);
 }
 
 async function addPhrase({ host, kind, inputIdOverride }) {
@@ -144,58 +555,1025 @@ async function addPhrase({ host, kind, inputIdOverride }) {
     return;
   }
 
-  const phrase = normalizePhrase(input.value);
+  const entry = readPhraseEntryInput(inputId);
   if (!host) {
     setStatus("No active tab hostname found");
     return;
   }
-  if (!phrase) return;
+  if (!entry) return;
 
-  const rulesByHost = await loadAllRules();
-  const siteRules = rulesByHost[host] || defaultSiteRules();
+  const error = validatePhraseInput(inputId);
+  if (error) {
+    setStatus(error);
+    return;
+  }
 
-  if (kind === "include") {
-    siteRules.includePhrases = uniq([
-      ...(siteRules.includePhrases || []),
-      phrase,
-    ]);
-  } else {
-    siteRules.excludePhrases = uniq([
-      ...(siteRules.excludePhrases || []),
-      phrase,
-    ]);
+  const listKey = kind === "include" ? "includePhrases" : "excludePhrases";
+  const { tier, groupId } = parseGroupTarget(
+    document.getElementById(groupSelectIdFor(inputId))?.value,
+  );
+  let label = "";
+
+  const saved = await updateHostRules(
+    host,
+    (rules) => {
+      const group = addPhraseToGroup(rules, groupId, listKey, entry);
+      label = phraseGroupLabel({ ...group, tier });
+    },
+    tier,
+  );
+  if (!saved) return;
+
+  input.value = "";
+  const maxPriceInput = document.getElementById(maxPriceInputIdFor(inputId));
+  if (maxPriceInput) maxPriceInput.value = "";
+  setStatus(`Added to ${kind} list (${label})`);
+  await refreshUI(host);
+}
+
+async function addGroup({ host }) {
+  const input = document.getElementById("newGroupInput");
+  const name = normalizePhrase(input?.value);
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
   }
+  if (!name) return;
 
-  rulesByHost[host] = siteRules;
-  await saveAllRules(rulesByHost);
+  const tier = document.getElementById("newGroupTier")?.value || "site";
+  let existing = null;
+  const saved = await updateHostRules(
+    host,
+    (rules) => {
+      existing = rules.groups.find((g) => g.name.toLowerCase() === name.toLowerCase());
+      if (!existing) rules.groups.push(emptyPhraseGroup(name));
+    },
+    tier,
+  );
+  if (!saved) return;
+  if (existing) {
+    setStatus(`There's already a group called “${existing.name}” (${RULE_TIER_LABELS[tier]})`);
+    return;
+  }
 
   input.value = "";
-  setStatus(`Added to ${kind} list`);
+  setStatus(`Added group “${name}” (${RULE_TIER_LABELS[tier]})`);
   await refreshUI(host);
 }
 
+async function setGroupEnabled({ host, tier, groupId, enabled }) {
+  let name = "";
+  const saved = await updateHostRules(
+    host,
+    (rules) => {
+      const group = findPhraseGroup(rules, groupId);
+      if (!group) return;
+      group.enabled = enabled;
+      name = group.name;
+    },
+    tier,
+  );
+  if (!saved) return;
+  setStatus(`${enabled ? "Enabled" : "Disabled"} “${name}”`);
+  await refreshUI(host);
+}
+
+async function deleteGroup({ host, tier, groupId }) {
+  let name = "";
+  const saved = await updateHostRules(
+    host,
+    (rules) => {
+      name = findPhraseGroup(rules, groupId)?.name || "";
+      rules.groups = rules.groups.filter((g) => g.id !== groupId);
+    },
+    tier,
+  );
+  if (!saved) return;
+  setStatus(`Deleted group “${name}”`);
+  await refreshUI(host);
+}
+
+async function setExcludeDisplay({ host, mode }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const saved = await updateHostRules(host, (rules) => {
+    rules.excludeDisplay = mode;
+  });
+  if (!saved) return;
+  setStatus("Updated display mode");
+}
+
+async function setSortOrder({ host, order }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const saved = await updateHostRules(host, (rules) => {
+    if (order === "site") delete rules.sortOrder;
+    else rules.sortOrder = order;
+  });
+  if (!saved) return;
+  setStatus(order === "site" ? "Restored the site's order" : "Updated item order");
+}
+
+async function saveMinDiscount({ host }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const input = document.getElementById("minDiscountInput");
+  const min = input.value.trim() === "" ? null : Number(input.value);
+  if (min !== null && !(Number.isInteger(min) && min >= 0 && min < 100)) {
+    input.classList.add("invalid");
+    setStatus("Enter a whole percent under 100, or leave it empty to dim nothing");
+    return;
+  }
+  input.classList.remove("invalid");
+
+  const saved = await updateHostRules(host, (rules) => {
+    if (min) rules.minDiscount = min;
+    else delete rules.minDiscount;
+  });
+  if (!saved) return;
+  setStatus(min ? `Dimming listings under ${min}% off retail` : "Not dimming by discount");
+}
+
+/**
+ * @param {PickupFilter|null} filter
+ */
+function renderPickupFilter(filter) {
+  const fields = [
+    ["pickupLocationsInput", (filter?.locations || []).join("\n")],
+    ["pickupZipInput", filter?.zip || ""],
+    ["pickupRadiusInput", filter?.radiusMiles ?? ""],
+  ];
+  for (const [id, value] of fields) {
+    const input = document.getElementById(id);
+    if (input && document.activeElement !== input) input.value = value;
+  }
+}
+
+async function savePickupFilter({ host }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const zipInput = document.getElementById("pickupZipInput");
+  const radiusInput = document.getElementById("pickupRadiusInput");
+  const zip = zipInput.value.trim();
+  const radius = radiusInput.value.trim() === "" ? null : Number(radiusInput.value);
+
+  let error = "";
+  if (radius !== null && !(radius > 0)) error = "Enter a radius in miles";
+  else if (radius !== null && !/^\d{5}$/.test(zip)) error = "Enter a 5-digit ZIP code";
+  else if (radius !== null && !(await isKnownZip(zip))) error = `Unknown ZIP code ${zip}`;
+  zipInput.classList.toggle("invalid", error.includes("ZIP"));
+  radiusInput.classList.toggle("invalid", error.includes("radius"));
+  if (error) {
+    setStatus(error);
+    return;
+  }
+
+  const filter = normalizePickupFilter({
+    locations: document.getElementById("pickupLocationsInput").value.split("\n"),
+    zip,
+    radiusMiles: radius,
+  });
+  const saved = await updateHostRules(host, (rules) => {
+    if (filter) rules.pickupFilter = filter;
+    else delete rules.pickupFilter;
+  });
+  if (!saved) return;
+  renderPickupFilter(filter);
+  setStatus(filter ? "Saved pickup locations" : "Showing all pickup locations");
+}
+
+let resetConfirmTimer = null;
+
+/**
+ * First click arms the button ("Click again to reset"); a second click within a few
+ * seconds deletes the host's rules.
+ */
 async function resetSite({ host }) {
   if (!host) {
     setStatus("No active tab hostname found");
     return;
   }
 
+  const btn = document.getElementById("resetSiteBtn");
+  const domain = rulesDomainForHost(host);
   const rulesByHost = await loadAllRules();
-  if (rulesByHost[host]) {
-    delete rulesByHost[host];
-    await saveAllRules(rulesByHost);
+  const siteRules = rulesByHost[domain];
+
+  if (!resetConfirmTimer) {
+    const count = getPhraseGroups(siteRules).reduce(
+      (n, g) => n + g.includePhrases.length + g.excludePhrases.length,
+      0,
+    );
+    btn.textContent = "Click again to reset";
+    setStatus(
+      `This deletes ${count} phrase${count === 1 ? "" : "s"} for ${domain} (rules for all sites stay). Export a backup first from the Backup tab.`,
+    );
+    resetConfirmTimer = setTimeout(() => {
+      resetConfirmTimer = null;
+      btn.textContent = "Reset site";
+      setStatus("");
+    }, 4000);
+    return;
+  }
+
+  clearTimeout(resetConfirmTimer);
+  resetConfirmTimer = null;
+  btn.textContent = "Reset site";
+
+  if (siteRules) {
+    delete rulesByHost[domain];
+    if (!(await saveRules(rulesByHost))) return;
   }
   setStatus("Reset site rules");
   await refreshUI(host);
 }
 
+/**
+ * @param {string} text
+ * @param {string} fileName
+ * @param {string} type - MIME type.
+ */
+function downloadText(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportRules({ host }) {
+  const scope = document.getElementById("exportScopeSelect").value;
+  const format = document.getElementById("exportFormatSelect").value;
+  if (scope === "host" && !host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const domain = rulesDomainForHost(host);
+  const rulesByHost = await loadAllRules();
+  const hosts = scope === "host" ? [domain] : undefined;
+  if (hosts && !rulesByHost[domain]) {
+    setStatus(`No rules saved for ${domain}`);
+    return;
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const name = `phrasefilter-${scope === "host" ? domain : "all-sites"}-${date}`;
+  if (format === "csv") {
+    downloadText(exportRulesCsv(rulesByHost, hosts), `${name}.csv`, "text/csv");
+  } else {
+    downloadText(
+      exportRulesJson(rulesByHost, hosts),
+      `${name}.json`,
+      "application/json",
+    );
+  }
+  setStatus("Exported rules");
+}
+
+/** @type {RulesImport|null} Last previewed import; cleared when the input changes. */
+let pendingImport = null;
+
+/**
+ * @param {HostRulesDiff} diff
+ */
+function renderImportDiff(diff) {
+  const li = document.createElement("li");
+
+  const summary = document.createElement("div");
+  summary.className = "import-host";
+  summary.textContent = `${diff.host}: +${diff.added.length} added, −${diff.removed.length} removed, ${diff.duplicates.length} duplicate`;
+  li.appendChild(summary);
+
+  const groups = [
+    ["added", "+", diff.added],
+    ["removed", "−", diff.removed],
+    ["duplicate", "=", diff.duplicates],
+  ];
+  for (const [kind, sign, items] of groups) {
+    for (const { group, list, entry } of items) {
+      const row = document.createElement("div");
+      row.className = `import-change ${kind}`;
+      row.textContent = `${sign} ${list} (${group}): ${entry.text}`;
+      li.appendChild(row);
+    }
+  }
+  return li;
+}
+
+function resetImportPreview() {
+  pendingImport = null;
+  document.getElementById("importPreview").innerHTML = "";
+  document.getElementById("importErrors").innerHTML = "";
+  document.getElementById("applyImportBtn").disabled = true;
+}
+
+async function previewImport() {
+  resetImportPreview();
+  const text = document.getElementById("importText").value;
+  const mode = document.getElementById("importModeSelect").value;
+  const parsed = parseRulesImport(text);
+
+  const errorsUl = document.getElementById("importErrors");
+  for (const error of parsed.errors) {
+    const li = document.createElement("li");
+    li.textContent = error;
+    errorsUl.appendChild(li);
+  }
+
+  const hosts = Object.keys(parsed.rulesByHost);
+  if (!hosts.length) {
+    setStatus(
+      parsed.errors.length ? "Nothing valid to import" : "No sites in import",
+    );
+    return;
+  }
+
+  const diffs = diffRulesImport(await loadAllRules(), parsed.rulesByHost, mode);
+  const previewUl = document.getElementById("importPreview");
+  for (const diff of diffs) previewUl.appendChild(renderImportDiff(diff));
+
+  pendingImport = parsed;
+  document.getElementById("applyImportBtn").disabled = false;
+  setStatus(
+    parsed.errors.length
+      ? `${parsed.errors.length} problem(s) skipped; review before importing`
+      : `Ready to import ${hosts.length} site(s)`,
+  );
+}
+
+async function applyImport({ host }) {
+  if (!pendingImport) return;
+  const mode = document.getElementById("importModeSelect").value;
+  const next = applyRulesImport(
+    await loadAllRules(),
+    pendingImport.rulesByHost,
+    mode,
+  );
+  if (!(await saveRules(next))) return;
+
+  const count = Object.keys(pendingImport.rulesByHost).length;
+  resetImportPreview();
+  document.getElementById("importText").value = "";
+  document.getElementById("importFileInput").value = "";
+  setStatus(`Imported rules for ${count} site(s)`);
+  await refreshUI(host);
+}
+
+async function refreshWatchlistUI() {
+  const ul = document.getElementById("watchList");
+  const meta = document.getElementById("watchListMeta");
+  if (!ul) return;
+
+  const [items, feesByHost] = await Promise.all([
+    loadWatchlist(),
+    loadFeeProfilesByHost(),
+  ]);
+
+  // Soonest-ending first; items without an end time go last.
+  items.sort((a, b) => (a.endTime || Infinity) - (b.endTime || Infinity));
+
+  ul.innerHTML = "";
+  let committed = 0;
+  for (const item of items) {
+    const profile = getActiveFeeProfile(getHostFeeSettings(feesByHost, item.host));
+    const total = item.currentBid ? calculateTrueBidTotal(item.currentBid, profile) : 0;
+    committed += total;
+
+    const li = document.createElement("li");
+    li.className = "watch-item";
+
+    const info = document.createElement("div");
+    info.className = "watch-info";
+
+    const title = document.createElement("span");
+    title.className = "phrase";
+    title.textContent = item.title;
+    title.title = [item.title, item.url].filter(Boolean).join("\n");
+
+    const details = document.createElement("div");
+    details.className = "meta";
+    details.textContent = [
+      item.host,
+      // Without an Open button, the lot number is how to find it on the site.
+      !item.url && item.lotId && `lot ${item.lotId}`,
+      item.currentBid
+        ? `${formatMoney(item.currentBid)} bid → ${formatMoney(total)} total`
+        : "no bid seen",
+      formatTimeLeft(item.endTime),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    info.append(title, details);
+
+    const actions = document.createElement("div");
+    actions.className = "watch-actions";
+
+    const open = document.createElement("button");
+    open.type = "button";
+    open.textContent = "Open";
+    open.addEventListener("click", () => chrome.tabs.create({ url: item.url }));
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", async () => {
+      await removeWatchItem(item.id);
+      setStatus("Removed from watchlist");
+    });
+
+    // Not for items whose card didn't say where the item page is (see getCardItemUrl).
+    if (item.url) actions.append(open);
+    actions.append(remove);
+    li.append(info, actions);
+    ul.appendChild(li);
+  }
+
+  if (meta) {
+    meta.textContent = items.length
+      ? `${items.length} watched · ${formatMoney(committed)} total at current bids`
+      : "Star items on a results page to watch them here.";
+  }
+}
+
+async function refreshBudgetUI() {
+  const ul = document.getElementById("committedBidList");
+  const meta = document.getElementById("committedBidMeta");
+  if (!ul) return;
+
+  const [bids, budget] = await Promise.all([loadCommittedBids(), loadBidBudget()]);
+  const input = document.getElementById("bidBudgetInput");
+  if (document.activeElement !== input) input.value = budget ?? "";
+
+  ul.innerHTML = "";
+  for (const bid of Object.values(bids).sort((a, b) => b.at - a.at)) {
+    const li = document.createElement("li");
+    li.className = "watch-item";
+
+    const info = document.createElement("div");
+    info.className = "watch-info";
+
+    const title = document.createElement("span");
+    title.className = "phrase";
+    title.textContent = bid.title;
+    title.title = [bid.title, bid.url].filter(Boolean).join("\n");
+
+    const details = document.createElement("div");
+    details.className = "meta";
+    details.textContent = [
+      bid.host,
+      `max ${formatMoney(bid.amount)} → ${formatMoney(bid.total)} total`,
+      formatTimeLeft(bid.endTime),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    info.append(title, details);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "Remove";
+    remove.title = "Stop counting this bid (e.g. you were outbid)";
+    remove.addEventListener("click", async () => {
+      await removeCommittedBid(bid.id);
+      setStatus("Removed bid from budget");
+    });
+
+    li.append(info, remove);
+    ul.appendChild(li);
+  }
+
+  const count = Object.keys(bids).length;
+  const committed = committedBidTotal(bids);
+  if (!count) {
+    meta.textContent = "Max bids you submit on a supported site are added up here.";
+  } else if (budget) {
+    const left = budget - committed;
+    meta.textContent = `Committed if all win: ${formatMoney(committed)} of ${formatMoney(budget)} · ${
+      left >= 0 ? `${formatMoney(left)} left` : `${formatMoney(-left)} over`
+    }`;
+  } else {
+    meta.textContent = `Committed if all win: ${formatMoney(committed)} (${count} bid${count === 1 ? "" : "s"})`;
+  }
+}
+
+async function saveBudget() {
+  const input = document.getElementById("bidBudgetInput");
+  const amount = input.value.trim() === "" ? null : Number(input.value);
+  if (amount !== null && !(amount >= 0)) {
+    input.classList.add("invalid");
+    setStatus("Enter a budget in dollars, or leave it empty for no limit");
+    return;
+  }
+  input.classList.remove("invalid");
+
+  await saveBidBudget(amount);
+  setStatus(amount ? `Budget set to ${formatMoney(amount)}` : "Budget cleared");
+}
+
+let newSessionConfirmTimer = null;
+
+/**
+ * First click arms the button; a second click within a few seconds forgets every
+ * committed bid.
+ */
+async function startNewBidSession() {
+  const btn = document.getElementById("newBidSessionBtn");
+  if (!newSessionConfirmTimer) {
+    btn.textContent = "Click again to clear";
+    setStatus("This forgets every committed bid (the budget stays).");
+    newSessionConfirmTimer = setTimeout(() => {
+      newSessionConfirmTimer = null;
+      btn.textContent = "New session";
+      setStatus("");
+    }, 4000);
+    return;
+  }
+
+  clearTimeout(newSessionConfirmTimer);
+  newSessionConfirmTimer = null;
+  btn.textContent = "New session";
+  await clearCommittedBids();
+  setStatus("Started a new bidding session");
+}
+
+async function refreshReminderUI() {
+  const settings = await loadReminderSettings();
+  document.getElementById("reminderEnabled").checked = settings.enabled;
+  document.getElementById("reminderLeadMinutes").value =
+    settings.leadMinutes.join(", ");
+  document.getElementById("reminderIncludeHighlighted").checked =
+    settings.includeHighlighted;
+}
+
+async function saveReminderSettings() {
+  const leadInput = document.getElementById("reminderLeadMinutes");
+  const leadMinutes = parseLeadMinutes(leadInput.value);
+  if (!leadMinutes.length) {
+    leadInput.classList.add("invalid");
+    setStatus("Enter at least one lead time in minutes");
+    return;
+  }
+  leadInput.classList.remove("invalid");
+
+  const settings = normalizeReminderSettings({
+    enabled: document.getElementById("reminderEnabled").checked,
+    leadMinutes,
+    includeHighlighted: document.getElementById("reminderIncludeHighlighted")
+      .checked,
+  });
+  await chrome.storage.sync.set({ [REMINDER_SETTINGS_KEY]: settings });
+  leadInput.value = settings.leadMinutes.join(", ");
+  setStatus("Saved reminders");
+}
+
+async function refreshPriceHistoryUI() {
+  const input = document.getElementById("priceHistoryRetentionInput");
+  const meta = document.getElementById("priceHistoryMeta");
+  if (!input) return;
+
+  const { retentionDays } = await loadPriceHistorySettings();
+  if (document.activeElement !== input) input.value = retentionDays;
+
+  try {
+    const { observations, listings } = await countPriceHistory();
+    const bids = `${observations} bid${observations === 1 ? "" : "s"}`;
+    const items = `${listings} item${listings === 1 ? "" : "s"}`;
+    meta.textContent = observations
+      ? `${bids} recorded on ${items}, kept on this computer only.`
+      : "Bids seen on results pages are recorded for card sparklines and similar-item prices.";
+  } catch (err) {
+    meta.textContent = `Could not open price history: ${err?.message || err}`;
+  }
+}
+
+async function savePriceHistorySettings() {
+  const input = document.getElementById("priceHistoryRetentionInput");
+  const days = Number(input.value);
+  if (!(Number.isInteger(days) && days > 0)) {
+    input.classList.add("invalid");
+    setStatus("Enter how many days to keep bids (1 or more)");
+    return;
+  }
+  input.classList.remove("invalid");
+
+  const settings = normalizePriceHistorySettings({ retentionDays: days });
+  // The background worker prunes as soon as this changes.
+  await chrome.storage.sync.set({ [PRICE_HISTORY_SETTINGS_KEY]: settings });
+  setStatus(`Keeping bids for ${settings.retentionDays} days`);
+}
+
+let clearPriceHistoryConfirmTimer = null;
+
+/**
+ * First click arms the button; a second click within a few seconds deletes every
+ * recorded bid.
+ */
+async function onClearPriceHistoryClick() {
+  const btn = document.getElementById("clearPriceHistoryBtn");
+  if (!clearPriceHistoryConfirmTimer) {
+    btn.textContent = "Click again to clear";
+    setStatus("This deletes every recorded bid, on all sites.");
+    clearPriceHistoryConfirmTimer = setTimeout(() => {
+      clearPriceHistoryConfirmTimer = null;
+      btn.textContent = "Clear history";
+      setStatus("");
+    }, 4000);
+    return;
+  }
+
+  clearTimeout(clearPriceHistoryConfirmTimer);
+  clearPriceHistoryConfirmTimer = null;
+  btn.textContent = "Clear history";
+  await clearPriceHistory();
+  await refreshPriceHistoryUI();
+  setStatus("Cleared price history");
+}
+
+async function saveHostFeeSettings(host, settings) {
+  const feesByHost = await loadFeeProfilesByHost();
+  feesByHost[rulesDomainForHost(host)] = settings;
+  await chrome.storage.sync.set({ [FEE_STORAGE_KEY]: feesByHost });
+}
+
+function renderFeeTierRow(ul, tier) {
+  const li = document.createElement("li");
+
+  const upTo = document.createElement("input");
+  upTo.type = "number";
+  upTo.min = "0";
+  upTo.step = "0.01";
+  upTo.placeholder = "any";
+  upTo.className = "tier-up-to";
+  upTo.value = tier.upTo === null ? "" : String(tier.upTo);
+
+  const fee = document.createElement("input");
+  fee.type = "number";
+  fee.min = "0";
+  fee.step = "0.01";
+  fee.className = "tier-fee";
+  fee.value = String(tier.fee);
+
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = "Remove";
+  btn.addEventListener("click", () => {
+    li.remove();
+    renderFeePreview();
+  });
+
+  li.append("Bid ≤ $", upTo, "fee $", fee, btn);
+  ul.appendChild(li);
+}
+
+/**
+ * Build a profile from the editor form.
+ * @param {string} id
+ * @returns {FeeProfile}
+ */
+function readFeeProfileForm(id) {
+  const flatFees = Array.from(
+    document.querySelectorAll("#feeTierList li"),
+  ).map((li) => ({
+    upTo: li.querySelector(".tier-up-to").value,
+    fee: li.querySelector(".tier-fee").value,
+  }));
+
+  return normalizeFeeProfile({
+    id,
+    name: document.getElementById("feeName").value,
+    premiumPercent: document.getElementById("feePremium").value,
+    taxPercent: document.getElementById("feeTax").value,
+    taxAppliesToPremium: document.getElementById("feeTaxPremium").checked,
+    flatFees,
+  });
+}
+
+function renderFeePreview() {
+  const el = document.getElementById("feePreview");
+  const select = document.getElementById("feeProfileSelect");
+  if (!el || !select) return;
+
+  const profile = readFeeProfileForm(select.value);
+  el.textContent = [5, 25, 100]
+    .map((bid) => `${formatMoney(bid)} → ${formatMoney(calculateTrueBidTotal(bid, profile))}`)
+    .join(" · ");
+}
+
+async function refreshFeeUI(host) {
+  const settings = getHostFeeSettings(await loadFeeProfilesByHost(), host);
+  const active = getActiveFeeProfile(settings);
+
+  const select = document.getElementById("feeProfileSelect");
+  select.innerHTML = "";
+  for (const profile of settings.profiles) {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name;
+    option.selected = profile.id === active.id;
+    select.appendChild(option);
+  }
+
+  document.getElementById("feeName").value = active.name;
+  document.getElementById("feePremium").value = String(active.premiumPercent);
+  document.getElementById("feeTax").value = String(active.taxPercent);
+  document.getElementById("feeTaxPremium").checked = active.taxAppliesToPremium;
+
+  const ul = document.getElementById("feeTierList");
+  ul.innerHTML = "";
+  for (const tier of active.flatFees) renderFeeTierRow(ul, tier);
+
+  renderFeePreview();
+}
+
+async function selectFeeProfile({ host, profileId }) {
+  if (!host) return;
+  const settings = getHostFeeSettings(await loadFeeProfilesByHost(), host);
+  settings.activeProfileId = profileId;
+  await saveHostFeeSettings(host, settings);
+  setStatus(`Using fee profile "${getActiveFeeProfile(settings).name}"`);
+  await refreshFeeUI(host);
+}
+
+async function saveFeeProfile({ host }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const settings = getHostFeeSettings(await loadFeeProfilesByHost(), host);
+  const edited = readFeeProfileForm(settings.activeProfileId);
+  settings.profiles = settings.profiles.map((p) =>
+    p.id === edited.id ? edited : p,
+  );
+  await saveHostFeeSettings(host, settings);
+  setStatus(`Saved fee profile "${edited.name}"`);
+  await refreshFeeUI(host);
+}
+
+async function newFeeProfile({ host }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const settings = getHostFeeSettings(await loadFeeProfilesByHost(), host);
+  const copy = normalizeFeeProfile({
+    ...getActiveFeeProfile(settings),
+    id: newFeeProfileId(),
+    name: "New profile",
+  });
+  settings.profiles.push(copy);
+  settings.activeProfileId = copy.id;
+  await saveHostFeeSettings(host, settings);
+  setStatus("Added fee profile");
+  await refreshFeeUI(host);
+}
+
+async function deleteFeeProfile({ host }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const feesByHost = await loadFeeProfilesByHost();
+  const settings = getHostFeeSettings(feesByHost, host);
+  settings.profiles = settings.profiles.filter(
+    (p) => p.id !== settings.activeProfileId,
+  );
+
+  if (settings.profiles.length) {
+    settings.activeProfileId = settings.profiles[0].id;
+    feesByHost[rulesDomainForHost(host)] = settings;
+  } else {
+    // Last profile removed: fall back to the built-in profiles for this site.
+    delete feesByHost[rulesDomainForHost(host)];
+  }
+
+  await chrome.storage.sync.set({ [FEE_STORAGE_KEY]: feesByHost });
+  setStatus("Deleted fee profile");
+  await refreshFeeUI(host);
+}
+
+/**
+ * Match pattern for the tab's origin ("https://example.com/*"), or "" for non-web pages.
+ * @param {string} url
+ */
+function originPatternForUrl(url) {
+  try {
+    const u = new URL(url);
+    return /^https?:$/.test(u.protocol) ? `${u.origin}/*` : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * True if a manifest match pattern ("https://*.hibid.com/*") covers an origin pattern
+ * ("https://ohio.hibid.com/*").
+ * @param {string} matchPattern
+ * @param {string} originPattern
+ */
+function matchPatternCovers(matchPattern, originPattern) {
+  const [scheme, host] = matchPattern.split("://");
+  const [originScheme, originHost] = originPattern.split("://");
+  if (scheme !== originScheme) return false;
+  if (!host.startsWith("*.")) return host === originHost;
+  const domain = host.slice(2, -2);
+  const bareHost = originHost.slice(0, -2);
+  return bareHost === domain || bareHost.endsWith(`.${domain}`);
+}
+
+/**
+ * True if the manifest already injects the content script for this origin.
+ * @param {string} pattern
+ */
+function isBuiltInSite(pattern) {
+  if (!pattern) return false;
+  const contentScripts = chrome.runtime.getManifest().content_scripts || [];
+  return contentScripts.some((cs) =>
+    (cs.matches || []).some((m) => matchPatternCovers(m, pattern)),
+  );
+}
+
+function dynamicContentScriptId(host) {
+  return `phrasefilter-${host}`;
+}
+
+/**
+ * Make sure the content script runs on this tab now and on future visits.
+ * Built-in sites are covered by the manifest; other sites get a dynamically
+ * registered content script (needs the optional host permission).
+ * @param {chrome.tabs.Tab} tab
+ * @param {string} pattern
+ */
+async function ensureContentScripts(tab, pattern) {
+  const { js, css } = chrome.runtime.getManifest().content_scripts[0];
+
+  if (!isBuiltInSite(pattern)) {
+    const id = dynamicContentScriptId(new URL(tab.url).host);
+    const existing = await chrome.scripting.getRegisteredContentScripts({
+      ids: [id],
+    });
+    if (!existing.length) {
+      await chrome.scripting.registerContentScripts([
+        { id, matches: [pattern], js, css, runAt: "document_idle" },
+      ]);
+    }
+  }
+
+  const [probe] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: () => typeof startElementPicker === "function",
+  });
+  if (!probe?.result) {
+    await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: css });
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: js,
+    });
+  }
+}
+
+async function startPicker({ tab }) {
+  const pattern = originPatternForUrl(tab?.url);
+  if (!pattern) {
+    setStatus("Can't pick elements on this page");
+    return;
+  }
+
+  // Keep this the first await: the permission prompt needs the click's user gesture.
+  const granted = await chrome.permissions.request({ origins: [pattern] });
+  if (!granted) {
+    setStatus("Site access was not granted");
+    return;
+  }
+
+  try {
+    await ensureContentScripts(tab, pattern);
+    await chrome.tabs.sendMessage(tab.id, { type: "phraseFilter:startPicker" });
+    // The picker runs in the page; the popup would close on the first click anyway.
+    window.close();
+  } catch (err) {
+    setStatus(`Couldn't start picker: ${err?.message || err}`);
+  }
+}
+
+async function refreshSeenItemsUI(host) {
+  const label = document.getElementById("seenItemsLabel");
+  if (!label) return;
+
+  const count = host ? Object.keys(await loadSeenItems(host)).length : 0;
+  label.textContent = count
+    ? `${count} listing${count === 1 ? "" : "s"} remembered on ${host}; others get a NEW badge.`
+    : "Nothing remembered for this site yet. After your first visit, new listings get a NEW badge.";
+  document.getElementById("clearSeenItemsBtn").disabled = !count;
+}
+
+async function setDimSeen({ host, enabled }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const saved = await updateHostRules(host, (rules) => {
+    if (enabled) rules.dimSeen = true;
+    else delete rules.dimSeen;
+  });
+  if (!saved) return;
+  setStatus(enabled ? "Dimming seen listings" : "Not dimming seen listings");
+}
+
+async function clearSeenHistory({ host }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  await clearSeenItems(host);
+  setStatus(`Cleared seen listings for ${host}`);
+  await refreshSeenItemsUI(host);
+}
+
+async function loadSiteConfigByHost() {
+  const result = await chrome.storage.sync.get(SITE_CONFIG_KEY);
+  const configByHost = result[SITE_CONFIG_KEY];
+  if (configByHost && typeof configByHost === "object") return configByHost;
+  return {};
+}
+
+async function refreshSiteConfigUI({ host, tab }) {
+  const label = document.getElementById("siteConfigLabel");
+  if (!label) return;
+
+  const config = (await loadSiteConfigByHost())[host];
+  if (config?.itemSelector) {
+    label.textContent = `Picked cards: ${config.itemSelector} · title: ${config.titleSelector || "(none)"}`;
+  } else if (isBuiltInSite(originPatternForUrl(tab?.url))) {
+    label.textContent = "Using built-in selectors for this site.";
+  } else {
+    label.textContent = "Not set up yet. Pick a listing card and its title to add this site.";
+  }
+}
+
+async function clearSiteConfig({ host, tab }) {
+  if (!host) {
+    setStatus("No active tab hostname found");
+    return;
+  }
+
+  const configByHost = await loadSiteConfigByHost();
+  delete configByHost[host];
+  await chrome.storage.sync.set({ [SITE_CONFIG_KEY]: configByHost });
+
+  if (!isBuiltInSite(originPatternForUrl(tab?.url))) {
+    try {
+      await chrome.scripting.unregisterContentScripts({
+        ids: [dynamicContentScriptId(host)],
+      });
+    } catch {
+      // Not registered; nothing to undo.
+    }
+  }
+
+  setStatus("Cleared picked selectors");
+  await refreshSiteConfigUI({ host, tab });
+}
+
 document.addEventListener("DOMContentLoaded", async () => {
+  const tab = await getActiveTab();
   const host = await getActiveTabHost();
+  pageStats = await loadPageStats(tab);
   await refreshUI(host);
+  await refreshFeeUI(host);
+  await refreshSiteConfigUI({ host, tab });
+  await refreshSeenItemsUI(host);
+  await refreshWatchlistUI();
+  await refreshBudgetUI();
+  await refreshReminderUI();
+  await refreshPriceHistoryUI();
 
   const tabMain = document.getElementById("tabMain");
   const tabInterested = document.getElementById("tabInterested");
   const tabNotInterested = document.getElementById("tabNotInterested");
+  const tabWatchlist = document.getElementById("tabWatchlist");
+  const tabFees = document.getElementById("tabFees");
 
   if (tabMain) tabMain.addEventListener("click", () => setActiveTab("tabMain"));
   if (tabInterested)
@@ -206,6 +1584,9 @@ document.addEventListener("DOMContentLoaded", async () => {
     tabNotInterested.addEventListener("click", () =>
       setActiveTab("tabNotInterested"),
     );
+  if (tabWatchlist)
+    tabWatchlist.addEventListener("click", () => setActiveTab("tabWatchlist"));
+  if (tabFees) tabFees.addEventListener("click", () => setActiveTab("tabFees"));
 
   setActiveTab("tabMain");
 
@@ -253,14 +1634,152 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
+  document.getElementById("addGroupBtn").addEventListener("click", () => {
+    addGroup({ host });
+  });
+  document.getElementById("newGroupInput").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addGroup({ host });
+  });
+
+  for (const inputId of [
+    "includeInput",
+    "excludeInput",
+    "includeInputTab",
+    "excludeInputTab",
+  ]) {
+    const input = document.getElementById(inputId);
+    const modeSelect = document.getElementById(modeSelectIdFor(inputId));
+    const onEdit = () => setStatus(validatePhraseInput(inputId));
+    if (input) input.addEventListener("input", onEdit);
+    if (modeSelect) modeSelect.addEventListener("change", onEdit);
+  }
+
+  document
+    .getElementById("excludeDisplaySelect")
+    .addEventListener("change", (e) => {
+      setExcludeDisplay({ host, mode: e.target.value });
+    });
+  document.getElementById("sortOrderSelect").addEventListener("change", (e) => {
+    setSortOrder({ host, order: e.target.value });
+  });
+  document.getElementById("savePickupFilterBtn").addEventListener("click", () => {
+    savePickupFilter({ host });
+  });
+  document.getElementById("saveMinDiscountBtn").addEventListener("click", () => {
+    saveMinDiscount({ host });
+  });
+  document.getElementById("minDiscountInput").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") saveMinDiscount({ host });
+  });
+  document.getElementById("dimSeenCheckbox").addEventListener("change", (e) => {
+    setDimSeen({ host, enabled: e.target.checked });
+  });
+  document.getElementById("clearSeenItemsBtn").addEventListener("click", () => {
+    clearSeenHistory({ host });
+  });
+
+  document.getElementById("pickElementsBtn").addEventListener("click", () => {
+    startPicker({ tab });
+  });
+  document
+    .getElementById("clearSiteConfigBtn")
+    .addEventListener("click", () => {
+      clearSiteConfig({ host, tab });
+    });
+
   document.getElementById("resetSiteBtn").addEventListener("click", () => {
     resetSite({ host });
   });
 
+  document
+    .getElementById("feeProfileSelect")
+    .addEventListener("change", (e) => {
+      selectFeeProfile({ host, profileId: e.target.value });
+    });
+  document.getElementById("newFeeProfileBtn").addEventListener("click", () => {
+    newFeeProfile({ host });
+  });
+  document.getElementById("saveFeeProfileBtn").addEventListener("click", () => {
+    saveFeeProfile({ host });
+  });
+  document
+    .getElementById("deleteFeeProfileBtn")
+    .addEventListener("click", () => {
+      deleteFeeProfile({ host });
+    });
+  document.getElementById("addFeeTierBtn").addEventListener("click", () => {
+    renderFeeTierRow(document.getElementById("feeTierList"), {
+      upTo: null,
+      fee: 0,
+    });
+    renderFeePreview();
+  });
+  document.getElementById("panelFees").addEventListener("input", () => {
+    renderFeePreview();
+  });
+
+  document.getElementById("saveRemindersBtn").addEventListener("click", () => {
+    saveReminderSettings();
+  });
+  document.getElementById("saveBidBudgetBtn").addEventListener("click", () => {
+    saveBudget();
+  });
+  document.getElementById("bidBudgetInput").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") saveBudget();
+  });
+  document.getElementById("newBidSessionBtn").addEventListener("click", () => {
+    startNewBidSession();
+  });
+  document.getElementById("savePriceHistoryBtn").addEventListener("click", () => {
+    savePriceHistorySettings();
+  });
+  document.getElementById("clearPriceHistoryBtn").addEventListener("click", () => {
+    onClearPriceHistoryClick();
+  });
+
+  const tabBackup = document.getElementById("tabBackup");
+  if (tabBackup)
+    tabBackup.addEventListener("click", () => setActiveTab("tabBackup"));
+  document.getElementById("exportRulesBtn").addEventListener("click", () => {
+    exportRules({ host });
+  });
+  document
+    .getElementById("importFileInput")
+    .addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      document.getElementById("importText").value = await file.text();
+      previewImport();
+    });
+  document
+    .getElementById("importText")
+    .addEventListener("input", () => resetImportPreview());
+  document
+    .getElementById("importModeSelect")
+    .addEventListener("change", () => {
+      if (pendingImport) previewImport();
+    });
+  document.getElementById("previewImportBtn").addEventListener("click", () => {
+    previewImport();
+  });
+  document.getElementById("applyImportBtn").addEventListener("click", () => {
+    applyImport({ host });
+  });
+
   // If rules change (e.g., another popup instance), keep UI in sync.
   chrome.storage.onChanged.addListener((changes, area) => {
-    if (area !== "sync") return;
-    if (!changes[STORAGE_KEY]) return;
-    refreshUI(host);
+    if (area === "local" && changes[WATCHLIST_KEY]) refreshWatchlistUI();
+    if (area === "local" && changes[SEEN_ITEMS_KEY]) refreshSeenItemsUI(host);
+    if (changes[COMMITTED_BIDS_KEY] || changes[BID_BUDGET_KEY]) refreshBudgetUI();
+    if (area === "sync" && changes[PRICE_HISTORY_SETTINGS_KEY]) refreshPriceHistoryUI();
+    if (isRulesStorageChange(changes)) refreshUI(host);
+  });
+
+  // The tab's content script reports whenever its counts change.
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message?.type !== "phraseFilter:pageStats") return;
+    if (!tab || sender.tab?.id !== tab.id) return;
+    pageStats = message;
+    renderPageStats();
   });
 });
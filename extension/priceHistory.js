@@ -0,0 +1,262 @@
+// Bid price history.
+// Shared by the background service worker, which owns the database (the content script
+// sends it observations and asks for history by message), and the popup (retention
+// setting, size, clearing). Kept in the extension's IndexedDB rather than the content
+// script's, which would belong to the auction site's origin.
+//
+// Two object stores:
+// - observations: one row per bid change seen on a card,
+//   { id (auto), itemId, host, lotId, title (lowercased), bid, at, endTime }
+// - listings: the latest state of each item, keyed by itemId,
+//   { itemId, host, title, lastBid, lastAt, endTime }
+// Listings whose end time has passed are "sold" for the similar-items median.
+// Rows older than the retention period (a setting in chrome.storage.sync) are pruned.
+
+const PRICE_HISTORY_DB_NAME = "phraseFilterPriceHistory";
+const PRICE_HISTORY_DB_VERSION = 1;
+const PRICE_HISTORY_SETTINGS_KEY = "phraseFilterPriceHistorySettings";
+const DEFAULT_PRICE_HISTORY_RETENTION_DAYS = 90;
+
+// Fewer sold listings than this say little about a price.
+const MIN_SIMILAR_SOLD = 3;
+
+// Countdown end times drift by the time between reads; closer than this is the same.
+const END_TIME_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} BidObservation
+ * @property {string} itemId - See watchItemId.
+ * @property {string} host
+ * @property {string} lotId
+ * @property {string} title - Lowercased.
+ * @property {number} bid
+ * @property {number} at - Epoch ms.
+ * @property {number|null} endTime - Epoch ms, if known.
+ */
+
+/**
+ * What a page gets back for its cards (see loadPriceHistory in background.js).
+ * @typedef {Object} CardPriceHistory
+ * @property {Record<string, Array<[number, number]>>} series - See loadBidSeries.
+ * @property {Record<string, { median: number, count: number }>} medians - See
+ *   similarSoldMedians.
+ */
+
+/**
+ * @typedef {Object} PriceHistorySettings
+ * @property {number} retentionDays
+ */
+
+/**
+ * @param {any} raw
+ * @returns {PriceHistorySettings}
+ */
+function normalizePriceHistorySettings(raw) {
+  const days = Math.round(Number(raw?.retentionDays));
+  const valid = Number.isFinite(days) && days > 0;
+  return { retentionDays: valid ? days : DEFAULT_PRICE_HISTORY_RETENTION_DAYS };
+}
+
+async function loadPriceHistorySettings() {
+  const result = await chrome.storage.sync.get(PRICE_HISTORY_SETTINGS_KEY);
+  return normalizePriceHistorySettings(result?.[PRICE_HISTORY_SETTINGS_KEY]);
+}
+
+let priceHistoryDb = null;
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openPriceHistoryDb() {
+  priceHistoryDb ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(PRICE_HISTORY_DB_NAME, PRICE_HISTORY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const observations = db.createObjectStore("observations", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      observations.createIndex("itemId", "itemId");
+      observations.createIndex("at", "at");
+      const listings = db.createObjectStore("listings", { keyPath: "itemId" });
+      listings.createIndex("lastAt", "lastAt");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      priceHistoryDb = null;
+      reject(request.error);
+    };
+  });
+  return priceHistoryDb;
+}
+
+/**
+ * @param {IDBRequest} request
+ */
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {IDBTransaction} tx
+ */
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Record bids, skipping any that match the item's latest recorded bid.
+ * @param {BidObservation[]} observations
+ * @returns {Promise<number>} How many were new.
+ */
+async function recordBidObservations(observations) {
+  const db = await openPriceHistoryDb();
+  const tx = db.transaction(["observations", "listings"], "readwrite");
+  const listings = tx.objectStore("listings");
+  const store = tx.objectStore("observations");
+
+  let added = 0;
+  for (const o of observations) {
+    if (!o?.itemId || !(o.bid > 0)) continue;
+    const listing = await idbResult(listings.get(o.itemId));
+    const sameEnd =
+      !o.endTime || Math.abs((listing?.endTime || 0) - o.endTime) < END_TIME_TOLERANCE_MS;
+    if (listing && listing.lastBid === o.bid && sameEnd) continue;
+    if (!listing || listing.lastBid !== o.bid) {
+      store.add({ ...o, endTime: o.endTime || null });
+      added++;
+    }
+    listings.put({
+      itemId: o.itemId,
+      host: o.host,
+      title: o.title,
+      lastBid: o.bid,
+      lastAt: o.at,
+      endTime: o.endTime || listing?.endTime || null,
+    });
+  }
+  await idbDone(tx);
+  return added;
+}
+
+/**
+ * Each item's bids over time, oldest first.
+ * @param {string[]} itemIds
+ * @returns {Promise<Record<string, Array<[number, number]>>>} [at, bid] pairs by item id.
+ */
+async function loadBidSeries(itemIds) {
+  const db = await openPriceHistoryDb();
+  const store = db.transaction("observations").objectStore("observations");
+  const index = store.index("itemId");
+  const series = {};
+  for (const itemId of itemIds) {
+    const rows = await idbResult(index.getAll(itemId));
+    if (rows.length) {
+      series[itemId] = rows.sort((a, b) => a.at - b.at).map((r) => [r.at, r.bid]);
+    }
+  }
+  return series;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function medianOf(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * "Similar items last sold for": the median final bid of ended listings on a host
+ * whose titles match each phrase. Phrases that target a field other than the title
+ * can't be checked against history and are left out, as are phrases with too few
+ * matches (see MIN_SIMILAR_SOLD).
+ * @param {string} host
+ * @param {PhraseEntry[]} entries
+ * @param {string[]} [excludeItemIds] - Items still on the page asking, which may have
+ *   ended themselves.
+ * @returns {Promise<Record<string, { median: number, count: number }>>} By phraseEntryKey.
+ */
+async function similarSoldMedians(host, entries, excludeItemIds = []) {
+  const matchers = [];
+  for (const entry of entries) {
+    if (entry.field !== "title" && entry.field !== "any") continue;
+    try {
+      matchers.push(compilePhraseEntry(entry));
+    } catch {
+      // Invalid phrases don't match anything on the page either.
+    }
+  }
+  if (!matchers.length) return {};
+
+  const db = await openPriceHistoryDb();
+  const store = db.transaction("listings").objectStore("listings");
+  const listings = await idbResult(store.getAll());
+  const now = Date.now();
+  const exclude = new Set(excludeItemIds);
+  const sold = listings.filter(
+    (l) => l.host === host && l.endTime && l.endTime < now && !exclude.has(l.itemId),
+  );
+
+  const medians = {};
+  for (const m of matchers) {
+    const bids = sold.filter((l) => m.test(l.title)).map((l) => l.lastBid);
+    if (bids.length < MIN_SIMILAR_SOLD) continue;
+    medians[phraseEntryKey(m.entry)] = { median: medianOf(bids), count: bids.length };
+  }
+  return medians;
+}
+
+/**
+ * Drop observations and listings not seen within the retention period.
+ * @param {number} retentionDays
+ * @returns {Promise<number>} Observations removed.
+ */
+async function prunePriceHistory(retentionDays) {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const range = IDBKeyRange.upperBound(cutoff, true);
+  const db = await openPriceHistoryDb();
+  const tx = db.transaction(["observations", "listings"], "readwrite");
+
+  const observations = tx.objectStore("observations");
+  const removed = await idbResult(observations.index("at").getAllKeys(range));
+  for (const key of removed) observations.delete(key);
+
+  const listings = tx.objectStore("listings");
+  for (const key of await idbResult(listings.index("lastAt").getAllKeys(range))) {
+    listings.delete(key);
+  }
+  await idbDone(tx);
+  return removed.length;
+}
+
+/**
+ * @returns {Promise<{ observations: number, listings: number }>}
+ */
+async function countPriceHistory() {
+  const db = await openPriceHistoryDb();
+  const tx = db.transaction(["observations", "listings"]);
+  const [observations, listings] = await Promise.all([
+    idbResult(tx.objectStore("observations").count()),
+    idbResult(tx.objectStore("listings").count()),
+  ]);
+  return { observations, listings };
+}
+
+async function clearPriceHistory() {
+  const db = await openPriceHistoryDb();
+  const tx = db.transaction(["observations", "listings"], "readwrite");
+  tx.objectStore("observations").clear();
+  tx.objectStore("listings").clear();
+  await idbDone(tx);
+}
@@ -0,0 +1,84 @@
+// Auction-ending reminders.
+// Shared by the background service worker (schedules alarms, shows notifications)
+// and the popup (lead-time settings). The content script only reports highlighted
+// items to the worker by message.
+//
+// Reminders cover watched items (see watchlist.js) and, optionally, highlighted cards
+// the content script has seen. Either way we need an end time read from the card.
+
+const REMINDER_SETTINGS_KEY = "phraseFilterReminderSettings";
+const HIGHLIGHTED_ITEMS_KEY = "phraseFilterHighlightedItems";
+
+const REMINDER_ALARM_PREFIX = "phraseFilter:reminder:";
+
+/**
+ * @typedef {Object} ReminderSettings
+ * @property {boolean} enabled
+ * @property {number[]} leadMinutes - Minutes before close, largest first.
+ * @property {boolean} includeHighlighted - Also remind for highlighted (not just watched) items.
+ */
+
+/**
+ * @returns {ReminderSettings}
+ */
+function defaultReminderSettings() {
+  return { enabled: true, leadMinutes: [30, 5], includeHighlighted: true };
+}
+
+/**
+ * "30, 5" / [30, "5"] => [30, 5]. Drops non-positive and duplicate values.
+ * @param {string|Array<string|number>} value
+ * @returns {number[]}
+ */
+function parseLeadMinutes(value) {
+  const parts = Array.isArray(value) ? value : (value || "").toString().split(/[\s,]+/);
+  const minutes = parts
+    .map((p) => Math.round(Number(p)))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return Array.from(new Set(minutes)).sort((a, b) => b - a);
+}
+
+/**
+ * @param {any} raw
+ * @returns {ReminderSettings}
+ */
+function normalizeReminderSettings(raw) {
+  const defaults = defaultReminderSettings();
+  const s = raw && typeof raw === "object" ? raw : {};
+  return {
+    enabled: s.enabled === undefined ? defaults.enabled : Boolean(s.enabled),
+    leadMinutes:
+      s.leadMinutes === undefined ? defaults.leadMinutes : parseLeadMinutes(s.leadMinutes),
+    includeHighlighted:
+      s.includeHighlighted === undefined
+        ? defaults.includeHighlighted
+        : Boolean(s.includeHighlighted),
+  };
+}
+
+async function loadReminderSettings() {
+  const result = await chrome.storage.sync.get(REMINDER_SETTINGS_KEY);
+  return normalizeReminderSettings(result?.[REMINDER_SETTINGS_KEY]);
+}
+
+/**
+ * @param {number} leadMinutes
+ * @param {string} itemId
+ */
+function reminderAlarmName(leadMinutes, itemId) {
+  return `${REMINDER_ALARM_PREFIX}${leadMinutes}:${itemId}`;
+}
+
+/**
+ * @param {string} name
+ * @returns {{ leadMinutes: number, itemId: string }|null}
+ */
+function parseReminderAlarmName(name) {
+  if (!name || !name.startsWith(REMINDER_ALARM_PREFIX)) return null;
+  const rest = name.slice(REMINDER_ALARM_PREFIX.length);
+  const colon = rest.indexOf(":");
+  if (colon === -1) return null;
+  const leadMinutes = Number(rest.slice(0, colon));
+  const itemId = rest.slice(colon + 1);
+  return Number.isFinite(leadMinutes) && itemId ? { leadMinutes, itemId } : null;
+}
@@ -0,0 +1,179 @@
+// Boolean rule expressions.
+// Shared by the content script and the popup (loaded before phrases.js).
+//
+// Syntax:
+//   milwaukee AND m18 NOT tool only
+//   (drill OR driver) AND 20v
+//   NOT "for parts" AND dewalt
+//
+// - Operators are upper-case AND, OR, NOT (lower-case "not working" stays a phrase).
+// - Consecutive bare words form one phrase: `tool only` == "tool only".
+// - `a NOT b` means `a AND NOT b`.
+// - Precedence: NOT > AND > OR. Parentheses group.
+// - Each phrase is a case-insensitive substring match against the card text.
+
+/**
+ * @typedef {{ type: "term", text: string }
+ *   | { type: "not", operand: RuleNode }
+ *   | { type: "and", operands: RuleNode[] }
+ *   | { type: "or", operands: RuleNode[] }} RuleNode
+ */
+
+const RULE_OPERATORS = ["AND", "OR", "NOT"];
+
+class RuleParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} position - Character offset into the source.
+   */
+  constructor(message, position) {
+    super(`${message} (at ${position + 1})`);
+    this.name = "RuleParseError";
+    this.position = position;
+  }
+}
+
+/**
+ * @param {string} source
+ * @returns {Array<{ type: "op"|"lparen"|"rparen"|"word"|"quoted", value: string, pos: number }>}
+ */
+function tokenizeRuleExpression(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (ch === "(") {
+      tokens.push({ type: "lparen", value: ch, pos: i });
+      i += 1;
+    } else if (ch === ")") {
+      tokens.push({ type: "rparen", value: ch, pos: i });
+      i += 1;
+    } else if (ch === '"') {
+      const end = source.indexOf('"', i + 1);
+      if (end === -1) throw new RuleParseError("Unterminated quote", i);
+      const value = source.slice(i + 1, end).trim();
+      if (!value) throw new RuleParseError("Empty quoted phrase", i);
+      tokens.push({ type: "quoted", value, pos: i });
+      i = end + 1;
+    } else {
+      const start = i;
+      while (i < source.length && !/[\s()"]/.test(source[i])) i += 1;
+      const value = source.slice(start, i);
+      tokens.push({
+        type: RULE_OPERATORS.includes(value) ? "op" : "word",
+        value,
+        pos: start,
+      });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a rule expression into an AST. Throws RuleParseError on bad input.
+ * @param {string} source
+ * @returns {RuleNode}
+ */
+function parseRuleExpression(source) {
+  const tokens = tokenizeRuleExpression(source || "");
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const endPos = () => (source || "").length;
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (isOp("OR")) {
+      index += 1;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: "or", operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseUnary()];
+    while (isOp("AND") || isOp("NOT")) {
+      // Binary NOT ("a NOT b") is shorthand for "a AND NOT b"; leave NOT for parseUnary.
+      if (isOp("AND")) index += 1;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: "and", operands };
+  }
+
+  function parseUnary() {
+    if (isOp("NOT")) {
+      index += 1;
+      return { type: "not", operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new RuleParseError("Expected a phrase", endPos());
+
+    if (token.type === "lparen") {
+      index += 1;
+      const node = parseOr();
+      if (peek()?.type !== "rparen") {
+        throw new RuleParseError("Missing )", peek()?.pos ?? endPos());
+      }
+      index += 1;
+      return node;
+    }
+
+    if (token.type === "quoted") {
+      index += 1;
+      return { type: "term", text: token.value };
+    }
+
+    if (token.type === "word") {
+      const words = [];
+      while (peek()?.type === "word") {
+        words.push(peek().value);
+        index += 1;
+      }
+      return { type: "term", text: words.join(" ") };
+    }
+
+    throw new RuleParseError(`Unexpected "${token.value}"`, token.pos);
+  }
+
+  const ast = parseOr();
+  const rest = peek();
+  if (rest) {
+    throw new RuleParseError(
+      rest.type === "rparen"
+        ? "Unmatched )"
+        : `Expected AND, OR or NOT before "${rest.value}"`,
+      rest.pos,
+    );
+  }
+  return ast;
+}
+
+/**
+ * @param {RuleNode} node
+ * @param {string} haystackLower
+ * @returns {boolean}
+ */
+function evaluateRuleExpression(node, haystackLower) {
+  switch (node.type) {
+    case "term":
+      return haystackLower.includes(node.text.toLowerCase());
+    case "not":
+      return !evaluateRuleExpression(node.operand, haystackLower);
+    case "and":
+      return node.operands.every((n) => evaluateRuleExpression(n, haystackLower));
+    case "or":
+      return node.operands.some((n) => evaluateRuleExpression(n, haystackLower));
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,491 @@
+// Import/export of rule sets.
+// Used by the popup's Backup tab (loaded after csv.js, phrases.js and
+// pickupLocations.js, before popup.js).
+//
+// JSON exports carry everything we store per host (groups, phrases, ceilings,
+// display mode):
+//   { "format": "phrasefilter-rules", "version": 2, "rulesByHost": { host: SiteRules } }
+// Imports also accept version 1 exports and bare { host: SiteRules } objects with flat
+// phrase lists (read into the default group), and old storage dumps
+// ({ "phraseFilterRulesByHost": { ... } }).
+//
+// CSV carries phrases only, one per row: host,group,list,text,mode,field,maxPrice
+// where list is "include" or "exclude"; empty group/mode/field mean the defaults.
+//
+// Groups are matched by id, then by name (case-insensitive), when comparing an import
+// with what's stored (see findMatchingGroup). Hosts are filed under their rules domain
+// ("www.bidfta.com" => "bidfta.com", see rulesDomainForHost); global rules travel as
+// the "*" host.
+
+const RULES_EXPORT_FORMAT = "phrasefilter-rules";
+const RULES_EXPORT_VERSION = 2;
+
+const RULES_CSV_COLUMNS = [
+  "host",
+  "group",
+  "list",
+  "text",
+  "mode",
+  "field",
+  "maxPrice",
+];
+
+const IMPORTABLE_DISPLAY_MODES = ["overlay", "collapse", "remove"];
+const IMPORTABLE_SORT_ORDERS = ["site", "matches", "total", "endTime"];
+
+const PHRASE_LISTS = {
+  include: "includePhrases",
+  exclude: "excludePhrases",
+};
+
+/**
+ * @typedef {Object} RulesImport
+ * @property {Record<string, Object>} rulesByHost - Validated, in storage form.
+ * @property {string[]} errors - One message per rejected host/phrase; empty if clean.
+ */
+
+/**
+ * @typedef {Object} HostRulesDiff
+ * @property {string} host
+ * @property {PhraseChange[]} added
+ * @property {PhraseChange[]} removed
+ * @property {PhraseChange[]} duplicates
+ */
+
+/**
+ * @typedef {Object} PhraseChange
+ * @property {string} group - Group name.
+ * @property {"include"|"exclude"} list
+ * @property {PhraseEntry} entry
+ */
+
+/**
+ * Check one stored phrase against the rules schema.
+ * @param {any} raw
+ * @returns {string} Error message, or "".
+ */
+function validateStoredPhrase(raw) {
+  if (typeof raw === "string") return raw.trim() ? "" : "empty phrase";
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return "phrase must be a string or an object";
+  }
+  if (typeof raw.text !== "string" || !raw.text.trim()) return "missing text";
+  if (raw.mode !== undefined && !Object.hasOwn(MATCH_MODE_LABELS, raw.mode)) {
+    return `unknown mode "${raw.mode}"`;
+  }
+  if (raw.field !== undefined && !Object.hasOwn(CARD_FIELD_LABELS, raw.field)) {
+    return `unknown field "${raw.field}"`;
+  }
+  if (
+    raw.maxPrice !== undefined &&
+    raw.maxPrice !== null &&
+    raw.maxPrice !== "" &&
+    parseMaxPrice(raw.maxPrice) === null
+  ) {
+    return `invalid maxPrice "${raw.maxPrice}"`;
+  }
+  return validatePhraseEntry(normalizePhraseEntry(raw));
+}
+
+/**
+ * Validate the include/exclude lists on a host or group, dropping bad phrases.
+ * @param {Object} owner - Site rules or a phrase group.
+ * @param {string} label - Prefix for error messages.
+ * @param {string[]} errors - Appended to.
+ * @returns {{ includePhrases: Array<string|Object>, excludePhrases: Array<string|Object> }}
+ */
+function validatePhraseLists(owner, label, errors) {
+  const clean = {};
+  for (const [list, key] of Object.entries(PHRASE_LISTS)) {
+    const phrases = owner[key] === undefined ? [] : owner[key];
+    clean[key] = [];
+    if (!Array.isArray(phrases)) {
+      errors.push(`${label}: ${key} must be an array`);
+      continue;
+    }
+    phrases.forEach((raw, i) => {
+      const error = validateStoredPhrase(raw);
+      if (error) {
+        errors.push(`${label}: ${list} #${i + 1}: ${error}`);
+        return;
+      }
+      const entry = normalizePhraseEntry(raw);
+      // Ceilings only mean something on include phrases.
+      if (list === "exclude") delete entry.maxPrice;
+      clean[key].push(toStoredPhrase(entry));
+    });
+  }
+  return clean;
+}
+
+/**
+ * Validate a { host: SiteRules } object into group form. Bad phrases are dropped (and
+ * reported); a host that isn't an object is dropped entirely.
+ * @param {any} data
+ * @returns {RulesImport}
+ */
+function validateRulesByHost(data) {
+  const errors = [];
+  const rulesByHost = {};
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { rulesByHost, errors: ["Expected an object keyed by hostname"] };
+  }
+
+  for (const [host, rules] of Object.entries(data)) {
+    if (!host.trim() || /[\s/]/.test(host)) {
+      errors.push(`"${host}": not a hostname`);
+      continue;
+    }
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+      errors.push(`${host}: rules must be an object`);
+      continue;
+    }
+
+    if (rules.groups !== undefined && !Array.isArray(rules.groups)) {
+      errors.push(`${host}: groups must be an array`);
+      continue;
+    }
+
+    // Validate flat (pre-group) lists and each group's lists the same way.
+    const flat = validatePhraseLists(rules, host, errors);
+    const groups = (rules.groups || []).flatMap((raw, i) => {
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        errors.push(`${host}: group #${i + 1} must be an object`);
+        return [];
+      }
+      const label = `${host} / ${(raw.name || `group #${i + 1}`).toString()}`;
+      return [{ ...raw, ...validatePhraseLists(raw, label, errors) }];
+    });
+
+    const clean = { groups: getPhraseGroups({ ...flat, groups }) };
+    if (rules.disabledGlobalPhrases !== undefined) {
+      const keys = rules.disabledGlobalPhrases;
+      if (Array.isArray(keys) && keys.every((k) => typeof k === "string")) {
+        if (keys.length) clean.disabledGlobalPhrases = keys;
+      } else {
+        errors.push(`${host}: disabledGlobalPhrases must be a list of strings`);
+      }
+    }
+    if (rules.excludeDisplay !== undefined) {
+      if (IMPORTABLE_DISPLAY_MODES.includes(rules.excludeDisplay)) {
+        clean.excludeDisplay = rules.excludeDisplay;
+      } else {
+        errors.push(`${host}: unknown excludeDisplay "${rules.excludeDisplay}"`);
+      }
+    }
+    if (rules.sortOrder !== undefined) {
+      if (IMPORTABLE_SORT_ORDERS.includes(rules.sortOrder)) {
+        clean.sortOrder = rules.sortOrder;
+      } else {
+        errors.push(`${host}: unknown sortOrder "${rules.sortOrder}"`);
+      }
+    }
+    if (rules.dimSeen !== undefined) {
+      if (typeof rules.dimSeen === "boolean") {
+        if (rules.dimSeen) clean.dimSeen = true;
+      } else {
+        errors.push(`${host}: dimSeen must be true or false`);
+      }
+    }
+    if (rules.minDiscount !== undefined) {
+      const min = rules.minDiscount;
+      if (Number.isInteger(min) && min > 0 && min < 100) {
+        clean.minDiscount = min;
+      } else {
+        errors.push(`${host}: minDiscount must be a whole percent from 1 to 99`);
+      }
+    }
+    if (rules.pickupFilter !== undefined) {
+      const filter = rules.pickupFilter;
+      const valid =
+        filter &&
+        typeof filter === "object" &&
+        (filter.locations === undefined ||
+          (Array.isArray(filter.locations) &&
+            filter.locations.every((l) => typeof l === "string"))) &&
+        (filter.zip === undefined || filter.zip === "" || /^\d{5}$/.test(filter.zip)) &&
+        (filter.radiusMiles == null ||
+          (typeof filter.radiusMiles === "number" && filter.radiusMiles >= 0));
+      if (valid) {
+        const pickupFilter = normalizePickupFilter(filter);
+        if (pickupFilter) clean.pickupFilter = pickupFilter;
+      } else {
+        errors.push(
+          `${host}: pickupFilter needs a list of locations, a 5-digit zip and radiusMiles`,
+        );
+      }
+    }
+
+    // Old exports were keyed by exact host, so two of them may share a domain now.
+    const domain = rulesDomainForHost(host);
+    rulesByHost[domain] = rulesByHost[domain]
+      ? mergeSiteRules(rulesByHost[domain], clean)
+      : clean;
+  }
+
+  return { rulesByHost, errors };
+}
+
+/**
+ * @param {Record<string, Object>} rulesByHost
+ * @param {string[]} [hosts] - Limit the export to these hosts.
+ */
+function pickHosts(rulesByHost, hosts) {
+  if (!hosts) return { ...rulesByHost };
+  const picked = {};
+  for (const host of hosts) {
+    if (rulesByHost[host]) picked[host] = rulesByHost[host];
+  }
+  return picked;
+}
+
+/**
+ * @param {Record<string, Object>} rulesByHost
+ * @param {string[]} [hosts]
+ * @returns {string}
+ */
+function exportRulesJson(rulesByHost, hosts) {
+  return JSON.stringify(
+    {
+      format: RULES_EXPORT_FORMAT,
+      version: RULES_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      rulesByHost: pickHosts(rulesByHost, hosts),
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * @param {Record<string, Object>} rulesByHost
+ * @param {string[]} [hosts]
+ * @returns {string}
+ */
+function exportRulesCsv(rulesByHost, hosts) {
+  const lines = [RULES_CSV_COLUMNS.join(",")];
+  for (const [host, rules] of Object.entries(pickHosts(rulesByHost, hosts))) {
+    for (const group of getPhraseGroups(rules)) {
+      for (const [list, key] of Object.entries(PHRASE_LISTS)) {
+        for (const entry of normalizePhraseEntries(group[key])) {
+          const row = [
+            host,
+            group.name,
+            list,
+            entry.text,
+            entry.mode === DEFAULT_MATCH_MODE ? "" : entry.mode,
+            entry.field === DEFAULT_CARD_FIELD ? "" : entry.field,
+            entry.maxPrice ?? "",
+          ];
+          lines.push(row.map(csvCell).join(","));
+        }
+      }
+    }
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted cells, doubled quotes, CRLF or LF.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+/**
+ * @param {string} text
+ * @returns {RulesImport}
+ */
+function parseRulesCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  const columns = (header || []).map((c) => c.trim());
+  const missing = ["host", "list", "text"].filter((c) => !columns.includes(c));
+  if (missing.length) {
+    return {
+      rulesByHost: {},
+      errors: [`CSV is missing column(s): ${missing.join(", ")}`],
+    };
+  }
+
+  const errors = [];
+  const data = {};
+  rows.forEach((cells, i) => {
+    const row = Object.fromEntries(
+      columns.map((c, j) => [c, (cells[j] || "").trim()]),
+    );
+    const key = PHRASE_LISTS[row.list.toLowerCase()];
+    if (!key) {
+      errors.push(`Row ${i + 2}: list must be "include" or "exclude"`);
+      return;
+    }
+    const phrase = { text: row.text };
+    if (row.mode) phrase.mode = row.mode;
+    if (row.field) phrase.field = row.field;
+    if (row.maxPrice) phrase.maxPrice = row.maxPrice;
+
+    const groupName = row.group || DEFAULT_GROUP_NAME;
+    const groups = (data[row.host] ||= { groups: [] }).groups;
+    let group = groups.find((g) => g.name === groupName);
+    if (!group) {
+      group = emptyPhraseGroup(
+        groupName,
+        groupName === DEFAULT_GROUP_NAME ? DEFAULT_GROUP_ID : undefined,
+      );
+      groups.push(group);
+    }
+    group[key].push(phrase);
+  });
+
+  const result = validateRulesByHost(data);
+  return { rulesByHost: result.rulesByHost, errors: [...errors, ...result.errors] };
+}
+
+/**
+ * Parse pasted or uploaded text as a JSON export, storage dump or CSV.
+ * @param {string} text
+ * @returns {RulesImport}
+ */
+function parseRulesImport(text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) return { rulesByHost: {}, errors: ["Nothing to import"] };
+  if (!trimmed.startsWith("{")) return parseRulesCsv(trimmed);
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (err) {
+    return { rulesByHost: {}, errors: [`Invalid JSON: ${err?.message || err}`] };
+  }
+
+  if (data?.format === RULES_EXPORT_FORMAT) {
+    if (data.version > RULES_EXPORT_VERSION) {
+      return {
+        rulesByHost: {},
+        errors: [
+          `Export version ${data.version} is newer than this extension supports`,
+        ],
+      };
+    }
+    return validateRulesByHost(data.rulesByHost);
+  }
+  if (data && typeof data === "object" && STORAGE_KEY in data) {
+    return validateRulesByHost(data[STORAGE_KEY]);
+  }
+  return validateRulesByHost(data);
+}
+
+/**
+ * @param {PhraseGroup|null} group
+ * @param {string} key - "includePhrases" / "excludePhrases".
+ */
+function groupPhraseKeys(group, key) {
+  return new Set(normalizePhraseEntries(group?.[key]).map(phraseEntryKey));
+}
+
+/**
+ * What importing would change, per imported host.
+ * Merge keeps every current phrase; replace drops current phrases the import lacks.
+ * @param {Record<string, Object>} currentByHost
+ * @param {Record<string, Object>} importedByHost
+ * @param {"merge"|"replace"} mode
+ * @returns {HostRulesDiff[]}
+ */
+function diffRulesImport(currentByHost, importedByHost, mode) {
+  return Object.keys(importedByHost).map((host) => {
+    const diff = { host, added: [], removed: [], duplicates: [] };
+    const currentGroups = getPhraseGroups(currentByHost[host]);
+    const importedGroups = getPhraseGroups(importedByHost[host]);
+
+    for (const [list, key] of Object.entries(PHRASE_LISTS)) {
+      for (const group of importedGroups) {
+        const currentKeys = groupPhraseKeys(
+          findMatchingGroup(currentGroups, group),
+          key,
+        );
+        for (const entry of normalizePhraseEntries(group[key])) {
+          const isDuplicate = currentKeys.has(phraseEntryKey(entry));
+          (isDuplicate ? diff.duplicates : diff.added).push({
+            group: group.name,
+            list,
+            entry,
+          });
+        }
+      }
+
+      if (mode !== "replace") continue;
+      for (const group of currentGroups) {
+        const importedKeys = groupPhraseKeys(
+          findMatchingGroup(importedGroups, group),
+          key,
+        );
+        for (const entry of normalizePhraseEntries(group[key])) {
+          if (!importedKeys.has(phraseEntryKey(entry))) {
+            diff.removed.push({ group: group.name, list, entry });
+          }
+        }
+      }
+    }
+    return diff;
+  });
+}
+
+/**
+ * Apply an import. Hosts missing from the import are left untouched.
+ * On merge, imported groups merge into the matching stored group (keeping its on/off
+ * state, and the current entry and ceiling for duplicates) or are added; on replace,
+ * the imported groups win outright.
+ * @param {Record<string, Object>} currentByHost
+ * @param {Record<string, Object>} importedByHost
+ * @param {"merge"|"replace"} mode
+ * @returns {Record<string, Object>}
+ */
+function applyRulesImport(currentByHost, importedByHost, mode) {
+  const next = { ...currentByHost };
+  for (const [host, imported] of Object.entries(importedByHost)) {
+    if (mode === "replace" || !next[host]) {
+      // Groups always come with the import; other settings only if it has them.
+      next[host] = { ...toGroupedSiteRules(next[host]), ...toGroupedSiteRules(imported) };
+    } else {
+      next[host] = mergeSiteRules(next[host], imported);
+    }
+  }
+  return next;
+}
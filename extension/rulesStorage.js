@@ -0,0 +1,390 @@
+// Rules storage.
+// Shared by the content script and the popup (loaded before content.js / popup.js), and
+// by the background worker, which runs the migration below.
+//
+// Each host's rules live under their own key ("phraseFilterRules:<host>") so one big
+// phrase list can't push every other host over chrome.storage.sync's 8 KB per-item cap.
+// A host whose rules still don't fit in one item is split into chunks:
+//   "phraseFilterRules:<host>"    => { chunks: 3 }
+//   "phraseFilterRules:<host>#0"  => first slice of the JSON, and so on.
+// If sync is out of space for it, the host is stored in chrome.storage.local instead.
+//
+// "Host" here means the rules domain (rulesDomainForHost): "www.bidfta.com" and
+// "bidfta.com" share one entry. Rules for every site are stored the same way under the
+// "*" host (GLOBAL_RULES_HOST); resolveSiteRules (phraseGroups.js) combines the two.
+//
+// Version 1 kept every host in a single sync item ("phraseFilterRulesByHost");
+// version 2 kept flat phrase lists per host; version 3 keyed rules by exact host.
+// The background worker migrates them once, on install or update (see
+// migrateRulesStorage); pages and the popup only read, so two of them can't migrate
+// the same hosts at once.
+
+const STORAGE_KEY = "phraseFilterRulesByHost";
+
+const RULES_KEY_PREFIX = "phraseFilterRules:";
+const RULES_SCHEMA_KEY = "phraseFilterRulesSchemaVersion";
+const RULES_SCHEMA_VERSION = 4;
+
+const GLOBAL_RULES_HOST = "*";
+
+// Leave room for the key and Chrome's own accounting.
+const SYNC_ITEM_BYTES = (chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192) - 64;
+
+class StorageWriteError extends Error {
+  /**
+   * @param {string} message
+   * @param {unknown} cause - The error chrome.storage gave us.
+   */
+  constructor(message, cause) {
+    super(`${message}: ${cause?.message || cause}`);
+    this.name = "StorageWriteError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * @param {string} host
+ */
+function hostRulesKey(host) {
+  return `${RULES_KEY_PREFIX}${host}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {string} The host, or "" for chunk keys and unrelated keys.
+ */
+function hostFromRulesKey(key) {
+  if (!key.startsWith(RULES_KEY_PREFIX) || key.includes("#")) return "";
+  return key.slice(RULES_KEY_PREFIX.length);
+}
+
+/**
+ * Key a host's rules are stored under: the site adapter's registrable domain when the
+ * host belongs to a known site (as hostMatchesDomain decides), else the host without
+ * "www.".
+ * @param {string} host
+ * @returns {string}
+ */
+function rulesDomainForHost(host) {
+  if (!host || host === GLOBAL_RULES_HOST) return host || "";
+  const domain = getSiteAdapterForHost(host)?.domains.find((d) =>
+    hostMatchesDomain(host, d),
+  );
+  return domain || host.replace(/^www\./, "");
+}
+
+function utf8Length(s) {
+  return new TextEncoder().encode(s).length;
+}
+
+/**
+ * Storage items for one host's rules: a single item when it fits, else chunks.
+ * @param {string} host
+ * @param {Object} rules
+ * @returns {Record<string, any>}
+ */
+function encodeHostRules(host, rules) {
+  const key = hostRulesKey(host);
+  const json = JSON.stringify(rules);
+  if (utf8Length(key) + utf8Length(json) <= SYNC_ITEM_BYTES) {
+    return { [key]: rules };
+  }
+
+  // Sync stores each chunk JSON-encoded, so count escaped bytes, not characters.
+  const chunks = [];
+  let chunk = "";
+  let size = 0;
+  const budget = SYNC_ITEM_BYTES - utf8Length(`${key}#000`) - 2;
+  for (const ch of json) {
+    const cost = utf8Length(JSON.stringify(ch)) - 2;
+    if (size + cost > budget) {
+      chunks.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += ch;
+    size += cost;
+  }
+  chunks.push(chunk);
+
+  const items = { [key]: { chunks: chunks.length } };
+  chunks.forEach((c, i) => {
+    items[`${key}#${i}`] = c;
+  });
+  return items;
+}
+
+/**
+ * @param {string} host
+ * @param {Record<string, any>} items - Everything read from one storage area.
+ * @returns {Object|null}
+ */
+function decodeHostRules(host, items) {
+  const key = hostRulesKey(host);
+  const value = items[key];
+  if (!value || typeof value !== "object") return null;
+  if (typeof value.chunks !== "number") return value;
+
+  let json = "";
+  for (let i = 0; i < value.chunks; i++) {
+    const chunk = items[`${key}#${i}`];
+    if (typeof chunk !== "string") return null;
+    json += chunk;
+  }
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keys a host currently occupies in an area (the main key plus any chunks).
+ * @param {string} host
+ * @param {Record<string, any>} items
+ */
+function hostRulesKeys(host, items) {
+  const key = hostRulesKey(host);
+  const chunks = items[key]?.chunks;
+  const keys = [key];
+  for (let i = 0; i < (typeof chunks === "number" ? chunks : 0); i++) {
+    keys.push(`${key}#${i}`);
+  }
+  return keys;
+}
+
+/**
+ * Whether sync refused a write for lack of space ("QUOTA_BYTES quota exceeded",
+ * "QUOTA_BYTES_PER_ITEM quota exceeded"). Only then does a host move to local: its
+ * write-rate limits (MAX_WRITE_OPERATIONS_PER_MINUTE / _PER_HOUR) also say "quota",
+ * but pass with time and shouldn't take a host out of sync.
+ * @param {unknown} err
+ */
+function isQuotaError(err) {
+  return /\bQUOTA_BYTES(_PER_ITEM)?\b/.test(err?.message || String(err));
+}
+
+/**
+ * @param {unknown} err
+ */
+function isRateLimitError(err) {
+  return /\bMAX_WRITE_OPERATIONS_PER_(MINUTE|HOUR)\b/.test(err?.message || String(err));
+}
+
+/**
+ * Every host's stored rules, from both areas (no migration).
+ * @returns {Promise<Record<string, Object>>}
+ */
+async function readStoredRules() {
+  const [syncItems, localItems] = await Promise.all([
+    chrome.storage.sync.get(null),
+    chrome.storage.local.get(null),
+  ]);
+
+  // Hosts a failed migration left behind in the old single key.
+  const legacy = syncItems?.[STORAGE_KEY];
+  const rulesByHost = legacy && typeof legacy === "object" ? { ...legacy } : {};
+  // Local only holds hosts that didn't fit in sync, so it wins if both have one.
+  for (const items of [syncItems || {}, localItems || {}]) {
+    for (const key of Object.keys(items)) {
+      const host = hostFromRulesKey(key);
+      const rules = host ? decodeHostRules(host, items) : null;
+      if (rules) rulesByHost[host] = rules;
+    }
+  }
+  return rulesByHost;
+}
+
+/**
+ * Bring stored rules up to RULES_SCHEMA_VERSION. Safe to call repeatedly, but not
+ * concurrently: only the background worker calls it.
+ * - 1 => 2: single-key rules move to per-host keys.
+ * - 2 => 3: flat include/exclude lists move into a default phrase group (phraseGroups.js).
+ * - 3 => 4: hosts are merged into their rules domain (rulesDomainForHost), both their
+ *   rules and their fee settings (fees.js).
+ * @throws On a failed write. The old data stays where it was (readStoredRules still
+ *   reads it), and the schema version isn't bumped, so the next call retries.
+ */
+async function migrateRulesStorage() {
+  const result = await chrome.storage.sync.get([STORAGE_KEY, RULES_SCHEMA_KEY]);
+  const version = result?.[RULES_SCHEMA_KEY] || 1;
+  if (version >= RULES_SCHEMA_VERSION) return;
+
+  const legacy = result?.[STORAGE_KEY];
+  if (version < 2 && legacy && typeof legacy === "object") {
+    for (const [host, rules] of Object.entries(legacy)) {
+      if (rules && typeof rules === "object") {
+        await saveHostRules(host, toGroupedSiteRules(rules));
+      }
+    }
+  }
+  if (version < 3) {
+    for (const [host, rules] of Object.entries(await readStoredRules())) {
+      const isFlat =
+        !Array.isArray(rules.groups) || rules.includePhrases || rules.excludePhrases;
+      if (isFlat) {
+        await saveHostRules(host, toGroupedSiteRules(rules));
+      }
+    }
+  }
+  if (version < 4) {
+    const stored = await readStoredRules();
+    for (const [host, rules] of Object.entries(stored)) {
+      const domain = rulesDomainForHost(host);
+      if (domain === host) continue;
+      stored[domain] = mergeSiteRules(stored[domain], rules);
+      await saveHostRules(domain, stored[domain]);
+      await removeHostRules(host);
+    }
+
+    const feesByHost = await loadFeeProfilesByHost();
+    let feesMoved = false;
+    for (const [host, settings] of Object.entries(feesByHost)) {
+      const domain = rulesDomainForHost(host);
+      if (domain === host) continue;
+      feesByHost[domain] = mergeHostFeeSettings(feesByHost[domain], settings);
+      delete feesByHost[host];
+      feesMoved = true;
+    }
+    if (feesMoved) await chrome.storage.sync.set({ [FEE_STORAGE_KEY]: feesByHost });
+  }
+  await chrome.storage.sync.set({ [RULES_SCHEMA_KEY]: RULES_SCHEMA_VERSION });
+  if (legacy !== undefined) await chrome.storage.sync.remove(STORAGE_KEY);
+}
+
+/**
+ * Every host's rules. Only reads; rules are migrated by the background worker.
+ * @returns {Promise<Record<string, Object>>}
+ */
+async function loadAllRules() {
+  return readStoredRules();
+}
+
+/**
+ * @param {string} host
+ * @returns {Promise<Object|null>}
+ */
+async function loadHostRules(host) {
+  return (await loadAllRules())[host] || null;
+}
+
+/**
+ * Rules in effect on a page's host: global rules combined with its domain's.
+ * @param {string} host - location.host, not yet mapped to a rules domain.
+ * @returns {Promise<Object>} Grouped site rules, groups tagged with their tier.
+ */
+async function loadEffectiveRules(host) {
+  const rulesByHost = await loadAllRules();
+  return resolveSiteRules(
+    rulesByHost[GLOBAL_RULES_HOST],
+    rulesByHost[rulesDomainForHost(host)],
+  );
+}
+
+/**
+ * Where a host's rules are stored, or null if it has none.
+ * @param {string} host
+ * @returns {Promise<"sync"|"local"|null>}
+ */
+async function hostRulesArea(host) {
+  const key = hostRulesKey(host);
+  if ((await chrome.storage.local.get(key))?.[key]) return "local";
+  if ((await chrome.storage.sync.get(key))?.[key]) return "sync";
+  return null;
+}
+
+/**
+ * Save one host's rules: sync if it fits, otherwise local.
+ * @param {string} host
+ * @param {Object} rules
+ * @returns {Promise<"sync"|"local">} Where the rules ended up.
+ * @throws {StorageWriteError}
+ */
+async function saveHostRules(host, rules) {
+  const items = encodeHostRules(host, rules);
+  const [syncItems, localItems] = await Promise.all([
+    chrome.storage.sync.get(null),
+    chrome.storage.local.get(null),
+  ]);
+
+  const staleKeys = (area) =>
+    hostRulesKeys(host, area).filter((k) => !(k in items) && k in area);
+
+  try {
+    await chrome.storage.sync.set(items);
+    await chrome.storage.sync.remove(staleKeys(syncItems));
+    await chrome.storage.local.remove(hostRulesKeys(host, localItems));
+    return "sync";
+  } catch (err) {
+    if (isRateLimitError(err)) {
+      throw new StorageWriteError(
+        `Couldn't save rules for ${host} (sync is limiting how often it saves; try again later)`,
+        err,
+      );
+    }
+    if (!isQuotaError(err)) {
+      throw new StorageWriteError(`Couldn't save rules for ${host}`, err);
+    }
+  }
+
+  try {
+    await chrome.storage.local.set(items);
+    await chrome.storage.local.remove(staleKeys(localItems));
+    await chrome.storage.sync.remove(hostRulesKeys(host, syncItems));
+    return "local";
+  } catch (err) {
+    throw new StorageWriteError(`Couldn't save rules for ${host}`, err);
+  }
+}
+
+/**
+ * @param {string} host
+ */
+async function removeHostRules(host) {
+  const [syncItems, localItems] = await Promise.all([
+    chrome.storage.sync.get(null),
+    chrome.storage.local.get(null),
+  ]);
+  try {
+    await chrome.storage.sync.remove(hostRulesKeys(host, syncItems));
+    await chrome.storage.local.remove(hostRulesKeys(host, localItems));
+  } catch (err) {
+    throw new StorageWriteError(`Couldn't remove rules for ${host}`, err);
+  }
+}
+
+/**
+ * Save a full { host: rules } map, writing only hosts that changed.
+ * @param {Record<string, Object>} rulesByHost
+ * @returns {Promise<string[]>} Hosts that had to fall back to storage.local.
+ * @throws {StorageWriteError}
+ */
+async function saveAllRules(rulesByHost) {
+  const current = await loadAllRules();
+  const localHosts = [];
+
+  for (const [host, rules] of Object.entries(rulesByHost)) {
+    if (JSON.stringify(current[host]) === JSON.stringify(rules)) continue;
+    if ((await saveHostRules(host, rules)) === "local") localHosts.push(host);
+  }
+  for (const host of Object.keys(current)) {
+    if (!(host in rulesByHost)) await removeHostRules(host);
+  }
+  return localHosts;
+}
+
+/**
+ * Whether a chrome.storage.onChanged event touched any host's rules (or, given a
+ * page's host, the rules in effect there: its domain's or the global ones).
+ * @param {Record<string, chrome.storage.StorageChange>} changes
+ * @param {string} [host]
+ */
+function isRulesStorageChange(changes, host) {
+  const keys = Object.keys(changes || {});
+  if (!host) return keys.some((key) => key.startsWith(RULES_KEY_PREFIX));
+
+  const watched = [rulesDomainForHost(host), GLOBAL_RULES_HOST].map(hostRulesKey);
+  return keys.some((key) =>
+    watched.some((prefix) => key === prefix || key.startsWith(`${prefix}#`)),
+  );
+}
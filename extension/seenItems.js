@@ -0,0 +1,64 @@
+// Seen listings.
+// Used by the content script to badge cards that are new since the last visit (and
+// optionally dim the rest), and by the popup to clear a site's history.
+// Stored in chrome.storage.local: browsing history stays on this machine, and a
+// results page can record hundreds of ids, more than sync storage's per-item quota.
+// Per host, keyed by item id (see watchItemId) with when the card was first seen:
+//   { "www.bidfta.com": { "<item id>": 1761000000000 } }
+
+const SEEN_ITEMS_KEY = "phraseFilterSeenItems";
+
+// Counted from the first sighting, so a listing still up after this long (relisted, or
+// a long-running catalog) gets its NEW badge again; that's rarer than the growth of
+// keeping every id ever scrolled past.
+const SEEN_ITEM_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {Promise<Record<string, Record<string, number>>>}
+ */
+async function loadAllSeenItems() {
+  const result = await chrome.storage.local.get(SEEN_ITEMS_KEY);
+  const byHost = result?.[SEEN_ITEMS_KEY];
+  return byHost && typeof byHost === "object" ? byHost : {};
+}
+
+/**
+ * @param {string} host
+ * @returns {Promise<Record<string, number>>} First-seen epoch ms by item id.
+ */
+async function loadSeenItems(host) {
+  return (await loadAllSeenItems())[host] || {};
+}
+
+/**
+ * Remember items as seen on a host (keeping their first-seen time). Also drops expired
+ * entries on every host.
+ * @param {string} host
+ * @param {string[]} itemIds
+ */
+async function recordSeenItems(host, itemIds) {
+  const byHost = await loadAllSeenItems();
+  const now = Date.now();
+  for (const [h, items] of Object.entries(byHost)) {
+    for (const [id, at] of Object.entries(items)) {
+      if (!(now - at < SEEN_ITEM_TTL_MS)) delete items[id];
+    }
+    if (!Object.keys(items).length) delete byHost[h];
+  }
+
+  const items = byHost[host] || {};
+  for (const id of itemIds) items[id] ??= now;
+  byHost[host] = items;
+  await chrome.storage.local.set({ [SEEN_ITEMS_KEY]: byHost });
+}
+
+/**
+ * Forget everything seen on a host.
+ * @param {string} host
+ */
+async function clearSeenItems(host) {
+  const byHost = await loadAllSeenItems();
+  if (!byHost[host]) return;
+  delete byHost[host];
+  await chrome.storage.local.set({ [SEEN_ITEMS_KEY]: byHost });
+}
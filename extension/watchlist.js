@@ -0,0 +1,80 @@
+// Watchlist.
+// Shared by the content script (star button on each card) and the popup (Watchlist tab).
+// Items live in chrome.storage.local: they're per-browser and can outgrow sync quotas.
+
+const WATCHLIST_KEY = "phraseFilterWatchlist";
+
+/**
+ * @typedef {Object} WatchItem
+ * @property {string} id - See watchItemId.
+ * @property {string} host
+ * @property {string} title
+ * @property {string} url - The item page; "" when the card didn't say (see getCardItemUrl).
+ * @property {string} lotId
+ * @property {number} currentBid - Dollars, 0 if unknown.
+ * @property {number|null} endTime - Epoch ms, null if the card didn't say.
+ * @property {number} addedAt - Epoch ms.
+ */
+
+/**
+ * Lot ID when the card has one; otherwise URL + title, since some sites (BidFTA)
+ * don't link cards and every card would share the page URL.
+ * @param {string} host
+ * @param {{ lotId?: string, url?: string, title?: string }} item
+ */
+function watchItemId(host, item) {
+  return `${host}|${item.lotId || `${item.url || ""}|${item.title || ""}`}`;
+}
+
+/**
+ * @returns {Promise<WatchItem[]>}
+ */
+async function loadWatchlist() {
+  const result = await chrome.storage.local.get(WATCHLIST_KEY);
+  const items = result?.[WATCHLIST_KEY];
+  return Array.isArray(items) ? items : [];
+}
+
+/**
+ * @param {WatchItem[]} items
+ */
+async function saveWatchlist(items) {
+  await chrome.storage.local.set({ [WATCHLIST_KEY]: items });
+}
+
+/**
+ * Add or refresh an item (keeps the original addedAt).
+ * @param {WatchItem} item
+ */
+async function upsertWatchItem(item) {
+  const items = await loadWatchlist();
+  const existing = items.find((i) => i.id === item.id);
+  const next = items.filter((i) => i.id !== item.id);
+  next.push({ ...item, addedAt: existing?.addedAt || item.addedAt || Date.now() });
+  await saveWatchlist(next);
+}
+
+/**
+ * @param {string} id
+ */
+async function removeWatchItem(id) {
+  const items = await loadWatchlist();
+  await saveWatchlist(items.filter((i) => i.id !== id));
+}
+
+/**
+ * "3h 12m left", "ended", or "" if unknown.
+ * @param {number|null} endTime
+ * @param {number} [now]
+ */
+function formatTimeLeft(endTime, now = Date.now()) {
+  if (!endTime) return "";
+  const minutes = Math.round((endTime - now) / 60000);
+  if (minutes <= 0) return "ended";
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days) return `${days}d ${hours}h left`;
+  if (hours) return `${hours}h ${mins}m left`;
+  return `${mins}m left`;
+}
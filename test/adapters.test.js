@@ -0,0 +1,56 @@
+// Runs every site adapter against its fixture pages in extension/adapters/fixtures/.
+// Each fixture embeds its expectations in
+// <script type="application/json" id="phrasefilter-fixture">.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { EXTENSION_DIR, loadPage, readFixtureExpectations } = require("./extensionDom");
+
+const ADAPTER_SCRIPTS = [
+  "adapters/registry.js",
+  "adapters/bidfta.js",
+  "adapters/govdeals.js",
+  "adapters/hibid.js",
+  "adapters/publicsurplus.js",
+];
+
+const FIXTURES_DIR = path.join(EXTENSION_DIR, "adapters", "fixtures");
+const fixtures = fs.readdirSync(FIXTURES_DIR).filter((file) => file.endsWith(".html"));
+
+for (const file of fixtures) {
+  test(`adapter fixture ${file}`, () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, file), "utf8");
+    const expect = readFixtureExpectations(html);
+    const window = loadPage(html, { url: expect.url, scripts: ADAPTER_SCRIPTS });
+    const doc = window.document;
+    const url = new URL(expect.url);
+
+    const adapter = window.eval("SITE_ADAPTERS").find((a) => a.id === expect.adapter);
+    assert.ok(adapter, `adapter "${expect.adapter}" is registered`);
+    assert.equal(window.getSiteAdapterForHost(url.host)?.id, adapter.id, "host");
+    assert.equal(adapter.detectPageType(url, doc), expect.pageType, "pageType");
+
+    const cards = Array.from(doc.querySelectorAll(adapter.cardSelector));
+    assert.equal(cards.length, expect.cards, "cards");
+    assert.equal(
+      adapter.findBidButtons ? adapter.findBidButtons(doc).length : 0,
+      expect.bidButtons,
+      "bidButtons",
+    );
+    assert.equal(
+      adapter.findMaxBidControls ? adapter.findMaxBidControls(doc).length : 0,
+      expect.maxBidControls,
+      "maxBidControls",
+    );
+
+    assert.equal(window.getCardItemUrl(adapter, cards[0]), expect.firstCardUrl, "firstCardUrl");
+
+    for (const [field, expected] of Object.entries(expect.firstCard || {})) {
+      const extractor = adapter.fields[field];
+      assert.ok(extractor, `adapter has a ${field} field`);
+      assert.equal(window.runFieldExtractor(cards[0], extractor), expected, `firstCard.${field}`);
+    }
+  });
+}
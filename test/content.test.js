@@ -0,0 +1,123 @@
+// Runs the content scripts against fixture pages.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  EXTENSION_DIR,
+  contentScriptFiles,
+  createChromeStub,
+  loadPage,
+  readFixtureExpectations,
+} = require("./extensionDom");
+
+/**
+ * @param {string} name - A file in extension/adapters/fixtures/.
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(EXTENSION_DIR, "adapters", "fixtures", name), "utf8");
+}
+
+/**
+ * Wait for the content script to get through a condition, e.g. init() and a scan.
+ * @param {() => boolean|Promise<boolean>} condition
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - start > timeoutMs) return false;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return true;
+}
+
+test("a max bid input that's already filled in shows its total", async () => {
+  const html = readFixture("bidfta-results.html").replace(
+    '<input type="text" placeholder="$13.00" />',
+    '<input type="text" placeholder="$13.00" value="$25.00" />',
+  );
+  const window = loadPage(html, {
+    url: readFixtureExpectations(html).url,
+    scripts: contentScriptFiles(),
+    chrome: createChromeStub(),
+  });
+  const button = window.document.querySelector("button.bg-bidfta-yellow-light");
+
+  const enhanced = await waitFor(() => button.hasAttribute("data-phrasefilter-maxbid-enhanced"));
+  assert.ok(enhanced, "max bid button enhanced");
+  const total = button.parentNode.querySelector(".phrasefilter-maxbid-total");
+  assert.notEqual(total.style.display, "none");
+  assert.match(total.textContent, /\$\d/);
+  window.close();
+});
+
+test("the picker starts on a message sent right after the scripts are injected", async () => {
+  const html = readFixture("bidfta-results.html");
+  const chrome = createChromeStub();
+  const window = loadPage(html, {
+    url: readFixtureExpectations(html).url,
+    scripts: contentScriptFiles(),
+    chrome,
+  });
+
+  // No awaiting here: the popup messages the tab as soon as executeScript resolves.
+  assert.equal(chrome.messageListeners.length, 1, "listener registered");
+  chrome.messageListeners[0]({ type: "phraseFilter:startPicker" }, {}, () => {});
+  assert.ok(window.document.getElementById("phrasefilter-picker"), "picker toolbar shown");
+
+  // Let init() finish before tearing the page down.
+  await waitFor(() => chrome.sentMessages.some((m) => m.type === "phraseFilter:pageStats"));
+  window.close();
+});
+
+test("a max bid revised on the item page replaces the one placed from its card", async () => {
+  const chrome = createChromeStub({ sync: { phraseFilterBidBudget: { amount: 40 } } });
+  const committedBids = async () =>
+    (await chrome.storage.local.get("phraseFilterCommittedBids")).phraseFilterCommittedBids || {};
+  const confirms = [];
+
+  /**
+   * Load a page, set its max bid and submit it.
+   * @param {string} html
+   * @param {string} url
+   * @param {string} amount
+   */
+  async function submitMaxBid(html, url, amount) {
+    const window = loadPage(html, { url, scripts: contentScriptFiles(), chrome });
+    window.confirm = (message) => {
+      confirms.push(message);
+      return false;
+    };
+    const button = window.document.querySelector("button.bg-bidfta-yellow-light");
+    await waitFor(() => button.hasAttribute("data-phrasefilter-maxbid-enhanced"));
+    button.previousElementSibling.value = amount;
+    const before = JSON.stringify(await committedBids());
+    button.click();
+    const committed = await waitFor(
+      async () => JSON.stringify(await committedBids()) !== before,
+    );
+    assert.ok(committed, `${amount} bid committed`);
+    window.close();
+  }
+
+  const results = readFixture("bidfta-results.html");
+  await submitMaxBid(results, readFixtureExpectations(results).url, "$20.00");
+  // A synthetic item page, like the card's: /<auction>/item-detail/<lot>.
+  const itemPage = `<!doctype html>
+    <html><body><main>
+      <h1>DEWALT 20V MAX Cordless Drill Kit</h1>
+      <p>Lot #: 4817</p>
+      <p>Current Bid: $12.00</p>
+      <div>
+        <input type="text" placeholder="$13.00" />
+        <button class="bg-bidfta-yellow-light">Set Max Bid</button>
+      </div>
+    </main></body></html>`;
+  await submitMaxBid(itemPage, "https://www.bidfta.com/7346/item-detail/4817", "$30.00");
+
+  const bids = Object.values(await committedBids());
+  assert.equal(bids.length, 1, "one committed bid");
+  assert.equal(bids[0].amount, 30);
+  assert.deepEqual(confirms, [], "no over-budget warning");
+});
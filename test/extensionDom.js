@@ -0,0 +1,131 @@
+// Loads extension scripts into a jsdom window for the tests.
+// Each script runs as its own classic script in the window's context, so top-level
+// declarations are shared between them the way they are in the extension.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { JSDOM } = require("jsdom");
+
+const EXTENSION_DIR = path.join(__dirname, "..", "extension");
+
+/**
+ * @param {string} file - Path relative to extension/.
+ */
+function readExtensionFile(file) {
+  return fs.readFileSync(path.join(EXTENSION_DIR, file), "utf8");
+}
+
+/**
+ * The content scripts, in the order manifest.json injects them.
+ * @returns {string[]}
+ */
+function contentScriptFiles() {
+  const manifest = JSON.parse(readExtensionFile("manifest.json"));
+  return manifest.content_scripts.flatMap((entry) => entry.js);
+}
+
+/**
+ * The expectations a fixture page embeds in
+ * <script type="application/json" id="phrasefilter-fixture">.
+ * @param {string} html
+ */
+function readFixtureExpectations(html) {
+  const match = html.match(
+    /<script type="application\/json" id="phrasefilter-fixture">([\s\S]*?)<\/script>/,
+  );
+  return match ? JSON.parse(match[1]) : {};
+}
+
+/**
+ * An in-memory chrome.storage area.
+ * @param {Record<string, any>} items
+ * @param {string} areaName
+ * @param {Function[]} listeners - chrome.storage.onChanged listeners.
+ */
+function createStorageArea(items, areaName, listeners) {
+  const copy = (value) => (value === undefined ? value : structuredClone(value));
+  return {
+    async get(keys) {
+      if (keys == null) return copy(items);
+      const names = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const key of names) {
+        if (key in items) result[key] = copy(items[key]);
+        else if (keys && typeof keys === "object" && !Array.isArray(keys)) result[key] = keys[key];
+      }
+      return result;
+    },
+    async set(values) {
+      const changes = {};
+      for (const [key, value] of Object.entries(values)) {
+        changes[key] = { oldValue: items[key], newValue: copy(value) };
+        items[key] = copy(value);
+      }
+      for (const listener of listeners) listener(changes, areaName);
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete items[key];
+    },
+    async getBytesInUse() {
+      return 0;
+    },
+  };
+}
+
+/**
+ * Just enough of the extension API for the content scripts to start. Messages the page
+ * sends are collected in chrome.sentMessages; listeners in chrome.messageListeners.
+ * @param {{ sync?: Record<string, any>, local?: Record<string, any> }} storage
+ */
+function createChromeStub(storage = {}) {
+  const changeListeners = [];
+  const chrome = {
+    sentMessages: [],
+    messageListeners: [],
+    storage: {
+      sync: createStorageArea(structuredClone(storage.sync || {}), "sync", changeListeners),
+      local: createStorageArea(structuredClone(storage.local || {}), "local", changeListeners),
+      onChanged: { addListener: (listener) => changeListeners.push(listener) },
+    },
+    runtime: {
+      id: "phrasefilter-test",
+      getURL: (file) => `chrome-extension://phrasefilter-test/${file}`,
+      onMessage: { addListener: (listener) => chrome.messageListeners.push(listener) },
+      async sendMessage(message) {
+        chrome.sentMessages.push(message);
+      },
+    },
+  };
+  return chrome;
+}
+
+/**
+ * A jsdom window for a page with extension scripts loaded into it.
+ * @param {string} html
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string[]} options.scripts - Paths relative to extension/.
+ * @param {Object} [options.chrome] - Stands in for the extension API.
+ * @returns {Window}
+ */
+function loadPage(html, { url, scripts, chrome }) {
+  const dom = new JSDOM(html, { url, runScripts: "outside-only", pretendToBeVisual: true });
+  const window = dom.window;
+  if (chrome) window.chrome = chrome;
+  window.console.debug = () => {};
+  const context = dom.getInternalVMContext();
+  for (const file of scripts) {
+    new vm.Script(readExtensionFile(file), { filename: file }).runInContext(context);
+  }
+  return window;
+}
+
+module.exports = {
+  EXTENSION_DIR,
+  contentScriptFiles,
+  createChromeStub,
+  loadPage,
+  readExtensionFile,
+  readFixtureExpectations,
+};